@@ -249,3 +249,27 @@ type TestClass () =
     Assert.AreEqual (3, getVertexVal v)
     let v = Dominator.idom g <| g.FindVertexByData v6
     Assert.AreEqual (1, getVertexVal v)
+
+  [<TestMethod>]
+  member __.``Dominator Tree Test``() =
+    let toVals (v: Vertex<V>, d: Vertex<V> option) =
+      v.VData.Val, (match d with Some d -> d.VData.Val | None -> 0)
+    let idoms = Dominator.idoms g |> List.map toVals |> List.sort
+    let solution = [ (1, 0); (2, 1); (3, 2); (4, 2); (5, 2); (6, 2) ]
+    CollectionAssert.AreEqual (List.toArray idoms, List.toArray solution)
+    let ipdoms = Dominator.ipdoms g |> List.map toVals |> List.sort
+    let solution = [ (1, 2); (2, 6); (3, 5); (4, 5); (5, 2); (6, 0) ]
+    CollectionAssert.AreEqual (List.toArray ipdoms, List.toArray solution)
+
+  [<TestMethod>]
+  member __.``Natural Loop Test``() =
+    let toVals (h: Vertex<V>, body: Set<Vertex<V>>) =
+      h.VData.Val, body |> Set.toList |> List.map (fun v -> v.VData.Val)
+    let loops = Algorithms.naturalLoops g |> List.map toVals
+    let header, body = List.exactlyOne loops
+    Assert.AreEqual (2, header)
+    CollectionAssert.AreEqual (List.toArray (List.sort body), [| 2; 3; 4; 5 |])
+    let loops = Algorithms.naturalLoops g2 |> List.map toVals
+    let header, body = List.exactlyOne loops
+    Assert.AreEqual (4, header)
+    CollectionAssert.AreEqual (List.toArray (List.sort body), [| 4; 6 |])
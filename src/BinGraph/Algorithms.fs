@@ -37,3 +37,30 @@ let rec private kahnTopologicalSortLoop acc (g: SimpleDiGraph<_, _>) =
 let kahnTopologicalSort (g: SimpleDiGraph<_, _>) =
   let h = g.Clone ()
   List.rev <| kahnTopologicalSortLoop [] h
+
+let rec private dominates idomMap (h: Vertex<_>) (v: Vertex<_>) =
+  h.GetID () = v.GetID ()
+  || (match Map.tryFind (v.GetID ()) idomMap with
+      | Some d -> dominates idomMap h d
+      | None -> false)
+
+let rec private collectLoopBody body = function
+  | [] -> body
+  | (v: Vertex<_>) :: rest when Set.contains v body -> collectLoopBody body rest
+  | v :: rest -> collectLoopBody (Set.add v body) (v.Preds @ rest)
+
+/// Find the natural loops of the graph (g). Each loop is a pair of its header
+/// and the set of its body nodes, which includes the header. The loops of the
+/// same header are merged into one.
+let naturalLoops (g: DiGraph<_, _>) =
+  let idomMap =
+    Dominator.idoms g
+    |> List.choose (fun (v, d) -> Option.map (fun d -> v.GetID (), d) d)
+    |> Map.ofList
+  let folder loops src dst =
+    if dominates idomMap dst src then
+      let body = collectLoopBody (Set.singleton dst) [ src ]
+      let prev = Map.tryFind dst loops |> Option.defaultValue Set.empty
+      Map.add dst (Set.union prev body) loops
+    else loops
+  g.FoldEdge folder Map.empty |> Map.toList
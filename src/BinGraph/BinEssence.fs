@@ -42,12 +42,36 @@ type BinEssence =
 
     /// A map from Addr to a Function.
     Functions: Funcs
+
+    /// User comments on instruction addresses.
+    Comments: Map<Addr, string>
+
+    /// User-given function names, which are mapped from function entries.
+    Renames: Map<Addr, string>
   }
 with
   static member Init _verbose hdl =
     let builder, funcs = CFGUtils.construct hdl None
     (* Currently no other choice *)
-    { BinHandler = hdl; CFGBuilder = builder ; Functions = funcs }
+    { BinHandler = hdl; CFGBuilder = builder ; Functions = funcs
+      Comments = Map.empty ; Renames = Map.empty }
+
+  /// Return the name of the given function, which is the user-given one if the
+  /// function is renamed in the BinEssence.
+  static member FuncName (func: Function) ess =
+    Map.tryFind func.Entry ess.Renames |> Option.defaultValue func.Name
+
+  /// Rename the given function. Functions are shared by BinEssences, so the new
+  /// name is only recorded in the returned BinEssence.
+  static member RenameFunc (func: Function) name ess =
+    { ess with Renames = Map.add func.Entry name ess.Renames }
+
+  /// Attach a comment to the given address. An empty comment removes the
+  /// existing one.
+  static member SetComment addr comment ess =
+    if String.length comment = 0 then
+      { ess with Comments = Map.remove addr ess.Comments }
+    else { ess with Comments = Map.add addr comment ess.Comments }
 
   static member FindFuncByEntry entry ess =
     ess.Functions.Values |> List.ofSeq
@@ -61,7 +85,20 @@ with
   static member TryFindFuncByName name ess =
     ess.Functions.Values |> List.ofSeq
     |> List.tryPick (fun (func: Function) ->
-        if func.Name = name then Some func else None)
+        if BinEssence.FuncName func ess = name then Some func else None)
+
+  /// Find the function that contains the given address. We first look for a
+  /// function that starts at the address, and then for a function that has a
+  /// basic block covering the address.
+  static member TryFindFuncByAddr addr ess =
+    let containsAddr acc (v: DisasmVertex) =
+      acc || (v.VData.AddrRange.Min <= addr && addr < v.VData.AddrRange.Max)
+    match BinEssence.TryFindFuncByEntry addr ess with
+    | Some func -> Some func
+    | None ->
+      ess.Functions.Values |> List.ofSeq
+      |> List.tryFind (fun (func: Function) ->
+          func.DisasmCFG.FoldVertex containsAddr false)
 
   static member DisasmVertexToDOT v =
     "\"" + CFGUtils.disasmVertexToString v + "\""
@@ -297,6 +297,19 @@ let construct hdl = function
     ||> Boundary.identifyBoundaries hdl None
     ||> buildCFGs hdl
 
+let private accCallee (funcs: Funcs) callees (ins: Instruction) =
+  if ins.IsCall () then
+    match ins.DirectBranchTarget () |> Utils.tupleToOpt with
+    | Some target when funcs.ContainsKey target -> Set.add target callees
+    | _ -> callees
+  else callees
+
+/// Return the entries of the functions that the given function directly calls.
+let getCallees (funcs: Funcs) (func: Function) =
+  let folder callees (v: DisasmVertex) =
+    List.fold (accCallee funcs) callees v.VData.Instrs
+  func.DisasmCFG.FoldVertex folder Set.empty
+
 /// Stringify functions
 let bgToJson toResolve (sb: StringBuilder) =
   if toResolve then sb.Append("\"pink\"")
@@ -159,7 +159,7 @@ let connect (g: DiGraph<_, _>) =
 /// Disconnect the dummy node and the entry nodes.
 let disconnect (g: DiGraph<_, _>) =
   let root = g.GetRoot ()
-  root.Preds <- root.Preds |> List.filter (fun p -> p.GetID () <> root.GetID ())
+  root.Preds <- root.Preds |> List.filter (fun p -> p.GetID () <> 0)
 
 let initDominator (g: DiGraph<_, _>) =
   let ctxt = initContext g
@@ -212,6 +212,22 @@ let ipdom (g: DiGraph<'V, 'E>) (v: Vertex<'V>) =
   let v = g'.FindVertex v
   idomAux g' v
 
+let private idomsAux (g: DiGraph<'V, 'E>) =
+  let ctxt = initDominator g
+  let toIDom (v: Vertex<'V>) =
+    match ctxt.DFNumMap.TryGetValue (v.GetID ()) with
+    | true, n when ctxt.IDom.[n] > 1 -> Some ctxt.Vertex.[ctxt.IDom.[n]]
+    | _ -> None (* The root node, or an unreachable node. *)
+  g.FoldVertex (fun acc v -> (v, toIDom v) :: acc) []
+
+let idoms g = idomsAux g
+
+let ipdoms (g: DiGraph<'V, 'E>) =
+  let vMap = g.FoldVertex (fun acc v -> Map.add (v.GetID ()) v acc) Map.empty
+  let find (v: Vertex<'V>) = Map.find (v.GetID ()) vMap
+  let g' = g.Reverse () |> preparePostDomAnalysis
+  idomsAux g' |> List.map (fun (v, d) -> find v, Option.map find d)
+
 let rec domsAux acc v ctxt =
   let id = ctxt.IDom.[dfnum ctxt v]
   if id > 0 then domsAux (ctxt.Vertex.[id] :: acc) ctxt.Vertex.[id] ctxt
@@ -115,7 +115,7 @@ module ROPHandle =
         | _, _ -> None) (getSubsets n todoSet)
     finder regs Set.empty
 
-  let private setupRegs hdl regVals =
+  let setupRegs hdl regVals =
     match getRegsSetters hdl (getSetterMap hdl) (getKeys regVals) with
     | Some (payload, regMap) ->
       Map.fold (fun p r v -> ROPPayload.setExpr v (Map.find r regMap) p)
@@ -0,0 +1,160 @@
+(*
+  B2R2 - the Next-Generation Reversing Platform
+
+  Author: Sang Kil Cha <sangkilc@kaist.ac.kr>
+
+  Copyright (c) SoftSec Lab. @ KAIST, since 2016
+
+  Permission is hereby granted, free of charge, to any person obtaining a copy
+  of this software and associated documentation files (the "Software"), to deal
+  in the Software without restriction, including without limitation the rights
+  to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+  copies of the Software, and to permit persons to whom the Software is
+  furnished to do so, subject to the following conditions:
+
+  The above copyright notice and this permission notice shall be included in all
+  copies or substantial portions of the Software.
+
+  THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+  IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+  FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+  AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+  LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+  OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+  SOFTWARE.
+*)
+
+namespace B2R2.Utilities.BinExplorer
+
+open B2R2
+open B2R2.BinFile
+open B2R2.BinGraph
+open Microsoft.FSharpLu.Json
+
+/// A section with the permission of the segment that contains it.
+type SectionInfo = {
+  Name       : string
+  Address    : Addr
+  Size       : uint64
+  Kind       : string
+  Permission : string
+}
+
+type SegmentInfo = {
+  Address    : Addr
+  Size       : uint64
+  Permission : string
+}
+
+/// A symbol, where Category is one of "import", "export" and "static". Imports
+/// from the linkage table have the addresses of their trampolines.
+type SymbolInfo = {
+  Name     : string
+  Address  : Addr
+  Kind     : string
+  Category : string
+  Library  : string
+}
+
+/// The overview of a binary, which has the same data as the bininfo and the
+/// list commands.
+type BinOverview = {
+  Path       : string
+  Format     : string
+  FileType   : string
+  Machine    : string
+  WordSize   : int
+  EntryPoint : Addr
+  TextStart  : Addr
+  NXEnabled  : bool
+  IsStripped : bool
+  Sections   : SectionInfo []
+  Segments   : SegmentInfo []
+  Symbols    : SymbolInfo []
+}
+
+module internal BinOverview =
+  let private sectionKindToString = function
+    | SectionKind.ExecutableSection -> "executable"
+    | SectionKind.WritableSection -> "writable"
+    | SectionKind.LinkageTableSection -> "linkage table"
+    | _ -> "extra"
+
+  let private symbolKindToString = function
+    | SymbolKind.ObjectType -> "object"
+    | SymbolKind.FunctionType -> "function"
+    | SymbolKind.ExternFunctionType -> "extern function"
+    | SymbolKind.SectionType -> "section"
+    | SymbolKind.FileType -> "file"
+    | _ -> ""
+
+  let private getPermission (fi: FileInfo) addr =
+    fi.GetSegments ()
+    |> Seq.tryFind (fun s -> s.Address <= addr && addr < s.Address + s.Size)
+    |> Option.map (fun s -> FileInfo.PermissionToString s.Permission)
+    |> Option.defaultValue ""
+
+  let private ofSection fi (s: Section): SectionInfo =
+    { Name = s.Name
+      Address = s.Address
+      Size = s.Size
+      Kind = sectionKindToString s.Kind
+      Permission = getPermission fi s.Address }
+
+  let private ofSegment (s: Segment): SegmentInfo =
+    { Address = s.Address
+      Size = s.Size
+      Permission = FileInfo.PermissionToString s.Permission }
+
+  /// Dynamic symbols without addresses are defined in other modules.
+  let private ofSymbol (s: Symbol): SymbolInfo =
+    let category =
+      if s.Target = TargetKind.StaticSymbol then "static"
+      elif s.Kind = SymbolKind.ExternFunctionType || s.Address = 0UL then
+        "import"
+      else "export"
+    { Name = s.Name
+      Address = s.Address
+      Kind = symbolKindToString s.Kind
+      Category = category
+      Library = s.LibraryName }
+
+  let private ofLinkageTableEntry (e: LinkageTableEntry): SymbolInfo =
+    { Name = e.FuncName
+      Address = e.TrampolineAddress
+      Kind = "extern function"
+      Category = "import"
+      Library = e.LibraryName }
+
+  let private getSymbols (fi: FileInfo) =
+    let entries = fi.GetLinkageTableEntries () |> Seq.map ofLinkageTableEntry
+    let names = entries |> Seq.map (fun s -> s.Name) |> Set.ofSeq
+    fi.GetSymbols ()
+    |> Seq.map ofSymbol
+    // The linkage table has the addresses of the same imports.
+    |> Seq.filter (fun s ->
+      not (s.Category = "import" && Set.contains s.Name names))
+    |> Seq.append entries
+    |> Seq.filter (fun s -> s.Name.Length > 0)
+    |> Seq.toArray
+
+  let ofBinEssence (ess: BinEssence) =
+    let hdl = ess.BinHandler
+    let fi = hdl.FileInfo
+    { Path = fi.FilePath
+      Format = FileFormat.toString fi.FileFormat
+      FileType = FileInfo.FileTypeToString fi.FileType
+      Machine = ISA.ArchToString hdl.ISA.Arch
+      WordSize = int fi.WordSize
+      EntryPoint = fi.EntryPoint
+      TextStart = fi.TextStartAddr
+      NXEnabled = fi.NXEnabled
+      IsStripped = fi.IsStripped
+      Sections = fi.GetSections () |> Seq.map (ofSection fi) |> Seq.toArray
+      Segments = fi.GetSegments () |> Seq.map ofSegment |> Seq.toArray
+      Symbols = getSymbols fi }
+
+  let toJson (overview: BinOverview) =
+    Compact.serialize<BinOverview> overview
+
+// vim: set tw=80 sts=2 sw=2:
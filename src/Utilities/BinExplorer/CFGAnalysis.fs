@@ -0,0 +1,85 @@
+(*
+  B2R2 - the Next-Generation Reversing Platform
+
+  Author: Sang Kil Cha <sangkilc@kaist.ac.kr>
+
+  Copyright (c) SoftSec Lab. @ KAIST, since 2016
+
+  Permission is hereby granted, free of charge, to any person obtaining a copy
+  of this software and associated documentation files (the "Software"), to deal
+  in the Software without restriction, including without limitation the rights
+  to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+  copies of the Software, and to permit persons to whom the Software is
+  furnished to do so, subject to the following conditions:
+
+  The above copyright notice and this permission notice shall be included in all
+  copies or substantial portions of the Software.
+
+  THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+  IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+  FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+  AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+  LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+  OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+  SOFTWARE.
+*)
+
+namespace B2R2.Utilities.BinExplorer
+
+open B2R2
+open B2R2.BinGraph
+open Microsoft.FSharpLu.Json
+
+/// A node of a CFG and its immediate (post-)dominator.
+type DomEdge = {
+  Node : Addr
+  Dom  : Addr
+}
+
+/// A natural loop, whose Body includes the Header.
+type NaturalLoop = {
+  Header : Addr
+  Body   : Addr []
+}
+
+/// Dominators and loops of a CFG, which the web UI shows as overlays, and uses
+/// to collapse loops and regions. Each node is identified by the address of its
+/// basic block.
+type CFGAnalysis = {
+  IDoms  : DomEdge []
+  IPDoms : DomEdge []
+  Loops  : NaturalLoop []
+}
+
+module internal CFGAnalysis =
+  let private ofDoms addrOf doms =
+    doms
+    |> List.choose (fun (v, d) ->
+      d |> Option.map (fun d -> { Node = addrOf v; Dom = addrOf d }))
+    |> Array.ofList
+
+  let private ofLoop addrOf (header, body) =
+    { Header = addrOf header
+      Body = body |> Set.toArray |> Array.map addrOf }
+
+  let private ofCFG addrOf (g: DiGraph<_, _>) =
+    { IDoms = Dominator.idoms g |> ofDoms addrOf
+      IPDoms = Dominator.ipdoms g |> ofDoms addrOf
+      Loops =
+        Algorithms.naturalLoops g |> List.map (ofLoop addrOf) |> Array.ofList }
+
+  let ofDisasmCFG (g: DisasmCFG) =
+    ofCFG (fun (v: DisasmVertex) -> v.VData.AddrRange.Min) g
+
+  /// IR blocks are identified by the address of their instruction, as the IR
+  /// CFG of the web UI has no other identifier. Thus, loops and dominators are
+  /// reported per instruction: the blocks that split one instruction share an
+  /// entry. The web UI uses this analysis only for IR CFGs whose blocks have
+  /// distinct addresses (see canCollapse in b2r2.js).
+  let ofIRCFG (g: IRCFG) =
+    ofCFG (fun (v: IRVertex) -> fst v.VData.Ppoint) g
+
+  let toJson (analysis: CFGAnalysis) =
+    Compact.serialize<CFGAnalysis> analysis
+
+// vim: set tw=80 sts=2 sw=2:
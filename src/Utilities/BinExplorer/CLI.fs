@@ -36,8 +36,10 @@ let handle cmds arbiter (line: string) =
   match line.Split (' ') |> Array.toList with
   | cmd :: args ->
     let ess = Protocol.getBinEssence arbiter
-    Cmd.handle cmds ess cmd args |> Array.iter (print arbiter)
+    let output = Cmd.handle cmds ess cmd args
+    output |> Array.iter (print arbiter)
     print arbiter ""
+    Protocol.notify arbiter (CLICommand (line, output))
   | [] -> ()
 
 let rec cliLoop cmds arbiter (console: FsReadLine.Console) =
@@ -0,0 +1,95 @@
+(*
+  B2R2 - the Next-Generation Reversing Platform
+
+  Author: Sang Kil Cha <sangkilc@kaist.ac.kr>
+
+  Copyright (c) SoftSec Lab. @ KAIST, since 2016
+
+  Permission is hereby granted, free of charge, to any person obtaining a copy
+  of this software and associated documentation files (the "Software"), to deal
+  in the Software without restriction, including without limitation the rights
+  to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+  copies of the Software, and to permit persons to whom the Software is
+  furnished to do so, subject to the following conditions:
+
+  The above copyright notice and this permission notice shall be included in all
+  copies or substantial portions of the Software.
+
+  THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+  IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+  FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+  AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+  LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+  OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+  SOFTWARE.
+*)
+
+namespace B2R2.Utilities.BinExplorer
+
+open System
+open B2R2
+open B2R2.BinGraph
+open Microsoft.FSharpLu.Json
+
+/// Coverage of a function by an execution trace, in the number of instructions.
+type FuncCoverage = {
+  Entry   : Addr
+  Covered : int
+  Total   : int
+}
+
+/// Coverage of a binary by an execution trace. The i-th address of Addrs is hit
+/// Counts.[i] times.
+type Coverage = {
+  Addrs  : Addr []
+  Counts : uint64 []
+  Funcs  : FuncCoverage []
+}
+
+module internal Coverage =
+  let private parseAddr (str: string) =
+    try Some (Convert.ToUInt64 (str, 16)) with _ -> None
+
+  let private addHit hits addr (count: string) =
+    match parseAddr addr, UInt64.TryParse count with
+    | Some addr, (true, count) ->
+      let prev = Map.tryFind addr hits |> Option.defaultValue 0UL
+      Map.add addr (prev + count) hits
+    | _ -> hits
+
+  let private parseLine hits (line: string) =
+    let line = line.Trim ()
+    let seps = [| ' '; '\t'; ','; ':' |]
+    if line.Length = 0 || line.StartsWith "#" then hits
+    else
+      match line.Split (seps, StringSplitOptions.RemoveEmptyEntries) with
+      | [| addr |] -> addHit hits addr "1"
+      | [| addr; count |] -> addHit hits addr count
+      | _ -> hits
+
+  /// Parse an execution trace. Each line of a trace has an address (in hex)
+  /// optionally followed by its hit count, and lines starting with '#' are
+  /// ignored. The counts of the same address are summed up, so a raw trace
+  /// that lists every executed address is also valid.
+  let parse (lines: string seq) =
+    Seq.fold parseLine Map.empty lines
+
+  let private ofFunction hits (func: Function) =
+    let count (covered, total) (v: DisasmVertex) =
+      v.VData.Instrs
+      |> List.fold (fun (covered, total) ins ->
+        let covered =
+          if Map.containsKey ins.Address hits then covered + 1 else covered
+        covered, total + 1) (covered, total)
+    let covered, total = func.DisasmCFG.FoldVertex count (0, 0)
+    { Entry = func.Entry; Covered = covered; Total = total }
+
+  /// Compute the coverage of every function in the given BinEssence.
+  let compute (ess: BinEssence) (hits: Map<Addr, uint64>) =
+    { Addrs = hits |> Map.toArray |> Array.map fst
+      Counts = hits |> Map.toArray |> Array.map snd
+      Funcs = ess.Functions.Values |> Seq.map (ofFunction hits) |> Array.ofSeq }
+
+  let toJson (cov: Coverage) = Compact.serialize<Coverage> cov
+
+// vim: set tw=80 sts=2 sw=2:
@@ -0,0 +1,268 @@
+(*
+  B2R2 - the Next-Generation Reversing Platform
+
+  Author: Sang Kil Cha <sangkilc@kaist.ac.kr>
+
+  Copyright (c) SoftSec Lab. @ KAIST, since 2016
+
+  Permission is hereby granted, free of charge, to any person obtaining a copy
+  of this software and associated documentation files (the "Software"), to deal
+  in the Software without restriction, including without limitation the rights
+  to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+  copies of the Software, and to permit persons to whom the Software is
+  furnished to do so, subject to the following conditions:
+
+  The above copyright notice and this permission notice shall be included in all
+  copies or substantial portions of the Software.
+
+  THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+  IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+  FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+  AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+  LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+  OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+  SOFTWARE.
+*)
+
+namespace B2R2.Utilities.BinExplorer
+
+open System
+open System.Collections.Generic
+open B2R2
+open B2R2.BinIR.LowUIR
+open B2R2.BinGraph
+open Microsoft.FSharpLu.Json
+
+/// The definitions of a location that reach an instruction. FromEntry tells
+/// whether the value at the function entry also reaches the instruction.
+type ReachingDef = {
+  Location  : string
+  Defs      : Addr []
+  FromEntry : bool
+}
+
+/// The def-use chains of an operand of an instruction. Defs are the
+/// instructions that define the value of the operand at the instruction, and
+/// Uses are the instructions that use the value. Reaching lists the reaching
+/// definitions of every location at the instruction.
+type DefUse = {
+  Location  : string
+  Defs      : Addr []
+  FromEntry : bool
+  Uses      : Addr []
+  Reaching  : ReachingDef []
+}
+
+/// Reaching definitions over the IR CFG of a function. The analysis works on
+/// instructions, i.e., a definition is the address of the instruction whose IR
+/// statements define a location. Memory locations are identified by their
+/// address expressions, so aliases and the side effects of calls are not
+/// considered.
+module internal DefUse =
+  type Loc =
+    | RegLoc of string
+    | MemLoc of string
+
+  /// A definition or a use of a location by an instruction. A use comes with
+  /// the definitions reaching it.
+  type private Access = {
+    InsAddr   : Addr
+    Loc       : Loc
+    IsDef     : bool
+    ReachedBy : Set<Addr>
+  }
+
+  type private WalkState = {
+    Current  : Addr
+    Temps    : Map<int, Expr>
+    RD       : Map<Loc, Set<Addr>>
+    Accesses : Access list
+    Starts   : Map<Addr, Map<Loc, Set<Addr>>>
+  }
+
+  /// The value at the function entry is defined by this pseudo instruction.
+  let [<Literal>] private EntryDef = 0xFFFFFFFFFFFFFFFFUL
+
+  let private locToString = function
+    | RegLoc reg -> reg
+    | MemLoc expr -> "[" + expr + "]"
+
+  let private reachingOf rd loc =
+    Map.tryFind loc rd |> Option.defaultValue (Set.singleton EntryDef)
+
+  /// Replace temporary variables with their definitions in the instruction,
+  /// so that memory addresses are expressed with registers.
+  let rec private subst temps expr =
+    match expr with
+    | TempVar (_, n) -> Map.tryFind n temps |> Option.defaultValue expr
+    | UnOp (op, e, _, _) -> AST.unop op (subst temps e)
+    | BinOp (op, _, e1, e2, _, _) ->
+      AST.binop op (subst temps e1) (subst temps e2)
+    | Cast (kind, rt, e, _, _) -> AST.cast kind rt (subst temps e)
+    | Extract (e, rt, pos, _, _) -> AST.extract (subst temps e) rt pos
+    | Load (endian, rt, e, _, _) -> AST.load endian rt (subst temps e)
+    | e -> e
+
+  let private memLoc temps addr = MemLoc (subst temps addr |> Pp.expToString)
+
+  let rec private usesOf temps acc = function
+    | Var (_, _, name, _) -> Set.add (RegLoc name) acc
+    | UnOp (_, e, _, _)
+    | Cast (_, _, e, _, _)
+    | Extract (e, _, _, _, _) -> usesOf temps acc e
+    | BinOp (_, _, e1, e2, _, _)
+    | RelOp (_, e1, e2, _, _) -> usesOf temps (usesOf temps acc e1) e2
+    | Ite (cond, e1, e2, _, _) ->
+      usesOf temps (usesOf temps (usesOf temps acc cond) e1) e2
+    | Load (_, _, e, _, _) -> usesOf temps (Set.add (memLoc temps e) acc) e
+    | _ -> acc
+
+  let private usesOfExprs temps exprs =
+    List.fold (usesOf temps) Set.empty exprs
+
+  /// Return the uses and the definitions of a statement, and the updated
+  /// definitions of temporary variables.
+  let private stmtEffect temps = function
+    | Put (TempVar (_, n), e) ->
+      usesOfExprs temps [ e ], [], Map.add n (subst temps e) temps
+    | Put (Var (_, _, name, _), e) ->
+      usesOfExprs temps [ e ], [ RegLoc name ], temps
+    | Put (_, e) -> usesOfExprs temps [ e ], [], temps
+    | Store (_, addr, e) ->
+      usesOfExprs temps [ addr; e ], [ memLoc temps addr ], temps
+    | Jmp e -> usesOfExprs temps [ e ], [], temps
+    | CJmp (cond, t, f) -> usesOfExprs temps [ cond; t; f ], [], temps
+    | InterJmp (_, e) -> usesOfExprs temps [ e ], [], temps
+    | InterCJmp (cond, _, t, f) -> usesOfExprs temps [ cond; t; f ], [], temps
+    | _ -> Set.empty, [], temps
+
+  let private addUse st loc =
+    { InsAddr = st.Current; Loc = loc; IsDef = false
+      ReachedBy = reachingOf st.RD loc }
+
+  let private addDef st loc =
+    { InsAddr = st.Current; Loc = loc; IsDef = true; ReachedBy = Set.empty }
+
+  let private step st = function
+    | ISMark (addr, _) ->
+      { st with Current = addr; Temps = Map.empty
+                Starts = Map.add addr st.RD st.Starts }
+    | stmt ->
+      let uses, defs, temps = stmtEffect st.Temps stmt
+      let accs = st.Accesses
+      let accs = Set.fold (fun accs loc -> addUse st loc :: accs) accs uses
+      let accs = List.fold (fun accs loc -> addDef st loc :: accs) accs defs
+      let def = Set.singleton st.Current
+      let rd = List.fold (fun rd loc -> Map.add loc def rd) st.RD defs
+      { st with Temps = temps; RD = rd; Accesses = accs }
+
+  let private walk rd (v: IRVertex) =
+    let st =
+      { Current = fst v.VData.Ppoint; Temps = Map.empty; RD = rd
+        Accesses = []; Starts = Map.empty }
+    List.fold step st v.VData.Stmts
+
+  /// A location that is not defined along a path has the value at the entry.
+  let private join (rds: Map<Loc, Set<Addr>> list) =
+    let keys =
+      rds |> List.fold (fun acc rd ->
+        Map.fold (fun acc loc _ -> Set.add loc acc) acc rd) Set.empty
+    keys
+    |> Set.fold (fun acc loc ->
+      let defs = rds |> List.map (fun rd -> reachingOf rd loc)
+      Map.add loc (Set.unionMany defs) acc) Map.empty
+
+  /// Compute the reaching definitions at the start of every vertex, and return
+  /// a function that gives them.
+  let private solve (cfg: IRCFG) =
+    let rootID = cfg.GetRoot().GetID ()
+    let vertices = cfg.FoldVertex (fun acc v -> v :: acc) []
+    let outs = Dictionary<VertexID, Map<Loc, Set<Addr>>> ()
+    let inOf (v: IRVertex) =
+      let preds =
+        v.Preds |> List.choose (fun p ->
+          match outs.TryGetValue (p.GetID ()) with
+          | true, rd -> Some rd
+          | false, _ -> None)
+      if v.GetID () = rootID then join (Map.empty :: preds) else join preds
+    let update changed (v: IRVertex) =
+      let out = (walk (inOf v) v).RD
+      match outs.TryGetValue (v.GetID ()) with
+      | true, old when old = out -> changed
+      | _ -> outs.[v.GetID ()] <- out; true
+    let rec loop () = if List.fold update false vertices then loop () else ()
+    loop ()
+    inOf
+
+  /// x86 registers such as EAX, AX, and AL are parts of a 64-bit register in
+  /// the IR, e.g., RAX. Such registers have the same family.
+  let regFamily (reg: string) =
+    if reg.Length > 1 && reg.[0] = 'R' && Char.IsDigit reg.[1] then
+      reg.TrimEnd ('D', 'W', 'B')
+    elif reg.Length = 3 && (reg.[0] = 'R' || reg.[0] = 'E') then
+      reg.Substring(1).TrimEnd ('X', 'L', 'H')
+    else reg.TrimEnd ('X', 'L', 'H')
+
+  /// Find the location of the operand among the locations that the instruction
+  /// accesses. Operands with brackets are memory operands.
+  let private resolveLoc accs addr (operand: string) =
+    let locs =
+      accs
+      |> List.filter (fun (a: Access) -> a.InsAddr = addr)
+      |> List.map (fun a -> a.Loc)
+      |> List.distinct
+    let isReg pred = function
+      | RegLoc reg -> pred reg
+      | MemLoc _ -> false
+    if operand.Contains "[" then
+      locs |> List.tryFind (function MemLoc _ -> true | RegLoc _ -> false)
+    else
+      let reg = operand.Trim().ToUpper ()
+      match List.tryFind (isReg ((=) reg)) locs with
+      | Some loc -> Some loc
+      | None ->
+        List.tryFind (isReg (fun r -> regFamily r = regFamily reg)) locs
+
+  let private toReaching (loc, defs) : ReachingDef =
+    { Location = locToString loc
+      Defs = Set.remove EntryDef defs |> Set.toArray
+      FromEntry = Set.contains EntryDef defs }
+
+  let private ofLoc accs starts addr loc : DefUse =
+    let here =
+      accs |> List.filter (fun (a: Access) -> a.InsAddr = addr && a.Loc = loc)
+    let defs =
+      here |> List.fold (fun acc a ->
+        if a.IsDef then Set.add addr acc else Set.union a.ReachedBy acc)
+        Set.empty
+    let isUse (a: Access) =
+      not a.IsDef && a.Loc = loc
+      && not (Set.intersect a.ReachedBy defs |> Set.isEmpty)
+    let reaching =
+      Map.tryFind addr starts |> Option.defaultValue Map.empty
+    { Location = locToString loc
+      Defs = Set.remove EntryDef defs |> Set.toArray
+      FromEntry = Set.contains EntryDef defs
+      Uses = accs |> List.filter isUse |> List.map (fun a -> a.InsAddr)
+             |> List.distinct |> List.sort |> Array.ofList
+      Reaching = Map.toArray reaching |> Array.map toReaching }
+
+  /// Compute the def-use chains of the operand of the instruction at addr, and
+  /// serialize them.
+  let compute (func: Function) addr operand =
+    let cfg = func.IRCFG
+    if cfg.Size () = 0 then Error ("No IR is found for " + func.Name)
+    else
+      let inOf = solve cfg
+      let walks = cfg.FoldVertex (fun acc v -> walk (inOf v) v :: acc) []
+      let accs = walks |> List.collect (fun st -> st.Accesses)
+      let starts =
+        walks |> List.fold (fun acc st ->
+          Map.fold (fun acc addr rd -> Map.add addr rd acc) acc st.Starts)
+          Map.empty
+      match resolveLoc accs addr operand with
+      | Some loc ->
+        ofLoc accs starts addr loc |> Compact.serialize<DefUse> |> Ok
+      | None -> Error ("No data flow is found for " + operand.Trim ())
+
+// vim: set tw=80 sts=2 sw=2:
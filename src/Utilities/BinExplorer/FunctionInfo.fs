@@ -0,0 +1,73 @@
+(*
+  B2R2 - the Next-Generation Reversing Platform
+
+  Author: Sang Kil Cha <sangkilc@kaist.ac.kr>
+
+  Copyright (c) SoftSec Lab. @ KAIST, since 2016
+
+  Permission is hereby granted, free of charge, to any person obtaining a copy
+  of this software and associated documentation files (the "Software"), to deal
+  in the Software without restriction, including without limitation the rights
+  to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+  copies of the Software, and to permit persons to whom the Software is
+  furnished to do so, subject to the following conditions:
+
+  The above copyright notice and this permission notice shall be included in all
+  copies or substantial portions of the Software.
+
+  THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+  IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+  FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+  AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+  LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+  OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+  SOFTWARE.
+*)
+
+namespace B2R2.Utilities.BinExplorer
+
+open B2R2
+open B2R2.BinGraph
+open Microsoft.FSharpLu.Json
+
+/// Function metadata shown in the function table of the web UI.
+type FunctionInfo = {
+  Name    : string
+  Entry   : Addr
+  Blocks  : int
+  Instrs  : int
+  Callers : int
+  Callees : int
+}
+
+module internal FunctionInfo =
+  let private countCallers callMap =
+    let addCaller counts callee =
+      let cnt = Map.tryFind callee counts |> Option.defaultValue 0
+      Map.add callee (cnt + 1) counts
+    Map.fold (fun counts _ callees -> Set.fold addCaller counts callees)
+      Map.empty callMap
+
+  let private ofFunction ess callMap callerCounts (func: Function) =
+    let countInstrs acc (v: DisasmVertex) = acc + List.length v.VData.Instrs
+    { Name = BinEssence.FuncName func ess
+      Entry = func.Entry
+      Blocks = func.DisasmCFG.Size ()
+      Instrs = func.DisasmCFG.FoldVertex countInstrs 0
+      Callers = Map.tryFind func.Entry callerCounts |> Option.defaultValue 0
+      Callees = Map.find func.Entry callMap |> Set.count }
+
+  /// Collect the metadata of every function in the given BinEssence.
+  let ofBinEssence (ess: BinEssence) =
+    let funcs = Array.ofSeq ess.Functions.Values
+    let callMap =
+      funcs
+      |> Array.map (fun func ->
+        func.Entry, CFGUtils.getCallees ess.Functions func)
+      |> Map.ofArray
+    let callerCounts = countCallers callMap
+    funcs |> Array.map (ofFunction ess callMap callerCounts)
+
+  let toJson (infos: FunctionInfo []) = Compact.serialize<FunctionInfo []> infos
+
+// vim: set tw=80 sts=2 sw=2:
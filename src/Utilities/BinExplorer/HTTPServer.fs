@@ -33,6 +33,10 @@ open B2R2
 open B2R2.BinGraph
 open B2R2.Visualization
 
+type CFGType =
+  | DisasmCFG
+  | IRCFG
+
 let rootDir =
   let asm = Reflection.Assembly.GetExecutingAssembly ()
   let outDir = IO.Path.GetDirectoryName asm.Location
@@ -76,40 +80,354 @@ let answer (req: HttpListenerRequest) (resp: HttpListenerResponse) = function
     resp.StatusCode <- 404
     resp.Close ()
 
+/// Answer an error message with the status code 400 (Bad Request).
+let answerError (resp: HttpListenerResponse) (msg: string) =
+  let bytes = defaultEnc.GetBytes msg
+  resp.StatusCode <- 400
+  resp.ContentEncoding <- defaultEnc
+  resp.OutputStream.Write (bytes, 0, bytes.Length)
+  resp.OutputStream.Close ()
+
 let handleBinInfo req resp arbiter =
   let ess = Protocol.getBinEssence arbiter
   let txt = ess.BinHandler.FileInfo.FilePath
   let txt = "\"" + txt.Replace(@"\", @"\\") + "\""
   Some (defaultEnc.GetBytes (txt)) |> answer req resp
 
-let handleCFG req resp arbiter name =
+let handleOverview req resp arbiter =
+  let ess = Protocol.getBinEssence arbiter
+  let json = BinOverview.ofBinEssence ess |> BinOverview.toJson
+  Some (defaultEnc.GetBytes json) |> answer req resp
+
+let handleCFG req resp arbiter cfgType name =
   let ess = Protocol.getBinEssence arbiter
   match BinEssence.TryFindFuncByName name ess with
   | None -> None |> answer req resp
   | Some func ->
-    let hdl = ess.BinHandler
-    let cfg = Visualizer.visualizeDisasmCFG hdl func.DisasmCFG
+    let cfg =
+      match cfgType with
+      | DisasmCFG ->
+        Visualizer.visualizeDisasmCFG ess.BinHandler ess.Comments func.DisasmCFG
+      | IRCFG -> Visualizer.visualizeIRCFG func.IRCFG
     Some (defaultEnc.GetBytes cfg) |> answer req resp
 
+/// Answer the dominators and the loops of the CFG of a function.
+let handleCFGAnalysis req resp arbiter cfgType name =
+  let ess = Protocol.getBinEssence arbiter
+  match BinEssence.TryFindFuncByName name ess with
+  | None -> None |> answer req resp
+  | Some func ->
+    let analysis =
+      match cfgType with
+      | DisasmCFG -> CFGAnalysis.ofDisasmCFG func.DisasmCFG
+      | IRCFG -> CFGAnalysis.ofIRCFG func.IRCFG
+    Some (CFGAnalysis.toJson analysis |> defaultEnc.GetBytes)
+    |> answer req resp
+
+let handleDomTree req resp arbiter name =
+  let ess = Protocol.getBinEssence arbiter
+  match BinEssence.TryFindFuncByName name ess with
+  | None -> None |> answer req resp
+  | Some func ->
+    let tree = Visualizer.visualizeDomTree func.DisasmCFG
+    Some (defaultEnc.GetBytes tree) |> answer req resp
+
+let handleCallGraph req resp arbiter =
+  let ess = Protocol.getBinEssence arbiter
+  let name = IO.Path.GetFileName ess.BinHandler.FileInfo.FilePath
+  let nameOf func = BinEssence.FuncName func ess
+  let cg = Visualizer.visualizeCallGraph name nameOf ess.Functions
+  Some (defaultEnc.GetBytes cg) |> answer req resp
+
+let parseAddr (str: string) =
+  try Some (Convert.ToUInt64 (str, 16)) with _ -> None
+
+let handleFindFunc req resp arbiter addr =
+  let ess = Protocol.getBinEssence arbiter
+  match parseAddr addr with
+  | None -> None |> answer req resp
+  | Some addr ->
+    match BinEssence.TryFindFuncByAddr addr ess with
+    | None -> None |> answer req resp
+    | Some func ->
+      let name = BinEssence.FuncName func ess
+      Some (json<string> name |> defaultEnc.GetBytes) |> answer req resp
+
+/// Split the arguments into the first word and the rest.
+let splitArgs (args: string) =
+  match args.IndexOf ' ' with
+  | -1 -> args, ""
+  | idx -> args.Substring (0, idx), args.Substring (idx + 1)
+
+/// Compute the def-use chains of an operand. The arguments are the function
+/// name, the address of the instruction, and the operand.
+let handleDefUse req resp arbiter (args: string) =
+  let ess = Protocol.getBinEssence arbiter
+  let name, args = splitArgs args
+  let addr, operand = splitArgs args
+  let result =
+    match BinEssence.TryFindFuncByName name ess, parseAddr addr with
+    | Some func, Some addr -> DefUse.compute func addr operand
+    | None, _ -> Error ("No function is found: " + name)
+    | _, None -> Error ("Invalid address: " + addr)
+  match result with
+  | Ok json -> Some (defaultEnc.GetBytes json) |> answer req resp
+  | Error msg -> answerError resp msg
+
+/// Answer the bytes, the operands and the lifted IR of the instruction at the
+/// given address.
+let handleInstr req resp arbiter addr =
+  let ess = Protocol.getBinEssence arbiter
+  let result =
+    match parseAddr addr with
+    | Some addr -> InstrInfo.compute ess.BinHandler addr
+    | None -> Error ("Invalid address: " + addr)
+  match result with
+  | Ok json -> Some (defaultEnc.GetBytes json) |> answer req resp
+  | Error msg -> answerError resp msg
+
+let isValidFuncName (name: string) =
+  name.Length > 0 && not (Seq.exists Char.IsWhiteSpace name)
+
+let readBody (req: HttpListenerRequest) =
+  use reader = new IO.StreamReader (req.InputStream, defaultEnc)
+  reader.ReadToEnd ()
+
+/// Read the arguments of a request that changes the analysis state, or that has
+/// other side effects such as running a command. They are accepted only in the
+/// body of a POST request from our own pages, so that other web pages cannot
+/// make the browser send such a request, e.g., with an image tag or a form.
+let readChangeArgs (req: HttpListenerRequest) =
+  let origin = req.Headers.["Origin"]
+  if req.HttpMethod <> "POST" then Error "Only POST requests are accepted."
+  elif isNull origin || origin <> "http://" + req.Url.Authority then
+    Error "Requests from other origins are not accepted."
+  else Ok (readBody req)
+
+/// Rename the function that contains the given address. This answers both the
+/// old and the new name. The arguments are the address and the new name.
+let handleRename req resp arbiter args =
+  let ess = Protocol.getBinEssence arbiter
+  let addr, name = splitArgs args
+  let name = name.Trim ()
+  let isDuplicate (func: Function) =
+    BinEssence.FuncName func ess <> name
+    && (BinEssence.TryFindFuncByName name ess).IsSome
+  let func =
+    parseAddr addr
+    |> Option.bind (fun addr -> BinEssence.TryFindFuncByAddr addr ess)
+  match func with
+  | None -> answerError resp "No function is found at the address."
+  | Some _ when not (isValidFuncName name) ->
+    answerError resp ("Invalid function name: " + name)
+  | Some func when isDuplicate func ->
+    answerError resp ("The function name already exists: " + name)
+  | Some func ->
+    let oldName = BinEssence.FuncName func ess
+    let ess = BinEssence.RenameFunc func name ess
+    Protocol.updateBinEssence arbiter ess (FuncRenamed (oldName, name))
+    Project.save ess
+    Some (json<string []> [| oldName; name |] |> defaultEnc.GetBytes)
+    |> answer req resp
+
+/// Attach a comment to the given address. An empty comment removes the comment.
+let handleComment req resp arbiter args =
+  let addr, comment = splitArgs args
+  match parseAddr addr with
+  | None -> answerError resp ("Invalid address: " + addr)
+  | Some addr ->
+    let comment = comment.Replace('\n', ' ').Replace('\r', ' ').Trim ()
+    let ess =
+      Protocol.getBinEssence arbiter |> BinEssence.SetComment addr comment
+    Protocol.updateBinEssence arbiter ess (CommentChanged (addr, comment))
+    Project.save ess
+    Some (json<string> comment |> defaultEnc.GetBytes) |> answer req resp
+
+let tryFindBBL addr (func: Function) =
+  let folder acc (v: DisasmVertex) =
+    let range = v.VData.AddrRange
+    match acc with
+    | None when range.Min <= addr && addr < range.Max -> Some v
+    | _ -> acc
+  func.DisasmCFG.FoldVertex folder None
+
+/// Answer the boundaries of the instructions in the basic block that contains
+/// the given address: the start address of each instruction followed by the
+/// end address of the block.
+let handleBBL req resp arbiter addr =
+  let ess = Protocol.getBinEssence arbiter
+  let bbl =
+    parseAddr addr
+    |> Option.bind (fun addr ->
+      BinEssence.TryFindFuncByAddr addr ess |> Option.bind (tryFindBBL addr))
+  match bbl with
+  | None -> None |> answer req resp
+  | Some v ->
+    let addrs = v.VData.Instrs |> List.map (fun ins -> ins.Address)
+    let bounds =
+      addrs @ [ v.VData.AddrRange.Max ]
+      |> List.map (fun addr -> addr.ToString ("X"))
+      |> Array.ofList
+    Some (json<string []> bounds |> defaultEnc.GetBytes) |> answer req resp
+
+/// The arguments are the same as the ones of the hexdump command.
+let handleHexDump req resp arbiter (args: string) =
+  let ess = Protocol.getBinEssence arbiter
+  match args.Split ([| ' ' |], StringSplitOptions.RemoveEmptyEntries) with
+  | [| addr; count |] ->
+    let lines = HexDump.dump ess addr count
+    Some (json<string []> lines |> defaultEnc.GetBytes) |> answer req resp
+  | _ -> None |> answer req resp
+
+let cmdMap = CmdSpec.spec |> CmdMap.build
+
+/// Run a command line of the CLI, and answer its output lines. The output is
+/// not streamed line by line: a command produces all of its lines at once (see
+/// Cmd.CallBack), so we answer them when the command finishes. The command is
+/// also broadcast, so that the other pages show it in their consoles. Exit
+/// commands are ignored as the web UI should not terminate the CLI.
+let handleCommand req resp arbiter (line: string) =
+  let output =
+    match line.Trim().Split (' ') |> Array.toList with
+    | ("" | "exit" | "quit" | "q") :: _ | [] -> [||]
+    | cmd :: args ->
+      let ess = Protocol.getBinEssence arbiter
+      Protocol.logString arbiter line
+      let output = Cmd.handle cmdMap ess cmd args
+      output |> Array.iter (Protocol.logString arbiter)
+      Protocol.notify arbiter (CLICommand (line, output))
+      output
+  Some (json<string []> output |> defaultEnc.GetBytes) |> answer req resp
+
+/// Answer the command keywords, which are used for tab completion.
+let handleCommands req resp =
+  let keywords = cmdMap.CmdList |> List.sort |> Array.ofList
+  Some (json<string []> keywords |> defaultEnc.GetBytes) |> answer req resp
+
 let handleFunctions req resp arbiter =
   let ess = Protocol.getBinEssence arbiter
-  let addrs =
-    Array.ofSeq ess.Functions.Values
-    |> Array.map (fun (func: Function) -> func.Name)
-  Some (json<string []> addrs |> defaultEnc.GetBytes)
+  Some (FunctionInfo.ofBinEssence ess |> FunctionInfo.toJson
+        |> defaultEnc.GetBytes)
   |> answer req resp
 
+/// Load an execution trace, and answer the coverage. The trace is the body of a
+/// POST request, i.e., uploaded by the browser. We do not read files on the
+/// server, whose paths would come from the requests.
+let handleTrace (req: HttpListenerRequest) resp arbiter =
+  if req.HttpMethod <> "POST" then
+    answerError resp "A trace should be uploaded by a POST request."
+  else
+    let lines = (readBody req).Split ('\n')
+    let ess = Protocol.getBinEssence arbiter
+    let cov = Coverage.parse lines |> Coverage.compute ess |> Coverage.toJson
+    Some (defaultEnc.GetBytes cov) |> answer req resp
+
+let handleGadgets req resp arbiter =
+  let ess = Protocol.getBinEssence arbiter
+  match (try Some (ROPInfo.gadgetsToJson ess.BinHandler) with _ -> None) with
+  | Some json -> Some (defaultEnc.GetBytes json) |> answer req resp
+  | None -> answerError resp "Cannot search for gadgets in this binary."
+
+/// Build a ROP chain from the steps, which are given one per line.
+let handleROPChain req resp arbiter (args: string) =
+  let ess = Protocol.getBinEssence arbiter
+  match ROPInfo.buildChain ess.BinHandler (args.Split '\n') with
+  | Ok json -> Some (defaultEnc.GetBytes json) |> answer req resp
+  | Error msg -> answerError resp msg
+
+/// Search the binary. The arguments are the search type and the pattern.
+let handleSearch req resp arbiter (args: string) =
+  let ess = Protocol.getBinEssence arbiter
+  let result =
+    try
+      let kind, pattern = splitArgs args
+      Search.search ess kind pattern
+    with e -> Error ("Failed to search: " + e.Message)
+  match result with
+  | Ok json -> Some (defaultEnc.GetBytes json) |> answer req resp
+  | Error msg -> answerError resp msg
+
+/// Queries that other BinExplorer instances may send to diff the CFGs of two
+/// binaries. They only read the CFGs and the function list.
+let sharedQueries = set [ "cfg"; "ircfg"; "functions" ]
+
+/// Let other BinExplorer instances on this machine read the answers of the
+/// shared queries. Other origins and other queries are not allowed.
+let allowLocalOrigin (req: HttpListenerRequest) (resp: HttpListenerResponse) =
+  let origin = req.Headers.["Origin"]
+  if isNull origin || not (origin.StartsWith "http://localhost:") then ()
+  elif not (Set.contains req.QueryString.["q"] sharedQueries) then ()
+  else resp.AddHeader ("Access-Control-Allow-Origin", origin)
+
+let handleChange req resp arbiter handler =
+  match readChangeArgs req with
+  | Ok args -> handler req resp arbiter args
+  | Error msg -> answerError resp msg
+
 let handleAJAX req resp arbiter query args =
     match query with
     | "bininfo" -> handleBinInfo req resp arbiter
-    | "cfg" -> handleCFG req resp arbiter args
+    | "overview" -> handleOverview req resp arbiter
+    | "cfg" -> handleCFG req resp arbiter DisasmCFG args
+    | "ircfg" -> handleCFG req resp arbiter IRCFG args
+    | "callgraph" -> handleCallGraph req resp arbiter
+    | "cfganalysis" -> handleCFGAnalysis req resp arbiter DisasmCFG args
+    | "ircfganalysis" -> handleCFGAnalysis req resp arbiter IRCFG args
+    | "domtree" -> handleDomTree req resp arbiter args
+    | "defuse" -> handleDefUse req resp arbiter args
+    | "instr" -> handleInstr req resp arbiter args
+    | "findfunc" -> handleFindFunc req resp arbiter args
+    | "bbl" -> handleBBL req resp arbiter args
+    | "hexdump" -> handleHexDump req resp arbiter args
+    | "command" -> handleChange req resp arbiter handleCommand
+    | "commands" -> handleCommands req resp
+    | "rename" -> handleChange req resp arbiter handleRename
+    | "comment" -> handleChange req resp arbiter handleComment
     | "functions" -> handleFunctions req resp arbiter
+    | "trace" -> handleTrace req resp arbiter
+    | "gadgets" -> handleGadgets req resp arbiter
+    | "ropchain" -> handleROPChain req resp arbiter args
+    | "search" -> handleSearch req resp arbiter args
     | _ -> ()
 
+/// Encode a change event as a server-sent event, whose data is JSON.
+let encodeEvent = function
+  | FuncRenamed (oldName, newName) ->
+    "rename", json<string []> [| oldName; newName |]
+  | CommentChanged (addr, comment) ->
+    "comment", json<string []> [| addr.ToString ("x"); comment |]
+  | CLICommand (line, output) ->
+    "cli", json<string []> (Array.append [| line |] output)
+
+let writeEvent (resp: HttpListenerResponse) (str: string) =
+  let bytes = defaultEnc.GetBytes str
+  try
+    resp.OutputStream.Write (bytes, 0, bytes.Length)
+    resp.OutputStream.Flush ()
+    true
+  with _ -> false
+
+/// Keep the response open, and push change events to it as server-sent events
+/// (text/event-stream). The listener handles one request at a time, so we
+/// return right after subscribing.
+let handleEvents (resp: HttpListenerResponse) arbiter =
+  resp.ContentType <- "text/event-stream"
+  resp.ContentEncoding <- defaultEnc
+  resp.SendChunked <- true
+  resp.AddHeader ("Cache-Control", "no-cache")
+  let push evt =
+    let name, data = encodeEvent evt
+    writeEvent resp ("event: " + name + "\ndata: " + data + "\n\n")
+  (* A comment line lets the browser know that the stream is open. *)
+  if writeEvent resp ": connected\n\n" then Protocol.subscribe arbiter push
+  else ()
+
 let handle (req: HttpListenerRequest) (resp: HttpListenerResponse) arbiter =
   match req.Url.LocalPath.Remove (0, 1) with (* Remove the first '/' *)
   | "ajax/" ->
+    allowLocalOrigin req resp
     handleAJAX req resp arbiter req.QueryString.["q"] req.QueryString.["args"]
+  | "events" -> handleEvents resp arbiter
   | "" ->
     IO.Path.Combine (rootDir, "index.html") |> readIfExists |> answer req resp
   | path ->
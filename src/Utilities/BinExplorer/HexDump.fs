@@ -29,51 +29,61 @@ namespace B2R2.Utilities.BinExplorer
 open System
 open B2R2.BinGraph
 
-type CmdHexDump () =
-  inherit Cmd ()
-
-  let parseAddr addr =
+/// Hex dump functions, which are shared by the CLI and the web UI.
+module internal HexDump =
+  let private parseAddr addr =
     try Ok (Convert.ToUInt64 (addr, 16))
     with _ -> Error "[*] Invalid address given."
 
-  let parseCount count addr =
+  let private parseCount count addr =
     try Ok (addr, Convert.ToInt32 (count, 10))
     with _ -> Error "[*] Invalid byte count given."
 
-  let readBytes (binEssence: BinEssence) (addr, count) =
+  let private readBytes (binEssence: BinEssence) (addr, count) =
     try (addr, binEssence.BinHandler.ReadBytes (addr, count)) |> Ok
     with _ -> Error "[*] Failed to read bytes."
 
-  let addSpace idx =
+  let private addSpace idx =
     match idx with
     | 0 -> ""
     | 8 -> "  "
     | _ -> " "
 
-  let dumpHex (bytes: byte []) =
+  let private dumpHex (bytes: byte []) =
     bytes
     |> Array.mapi (fun i b -> addSpace i + b.ToString ("X2"))
     |> String.concat ""
 
-  let isPrintable b = b >= 32uy && b <= 126uy
+  let private isPrintable b = b >= 32uy && b <= 126uy
 
-  let dumpASCII (bytes: byte []) =
+  let private dumpASCII (bytes: byte []) =
     bytes
     |> Array.map (fun b -> if isPrintable b then (char b).ToString () else ".")
     |> String.concat ""
 
-  let dumpLine addr linenum bytes =
+  let private dumpLine addr linenum bytes =
     let addr = addr + uint64 (linenum * 16)
     let hex = dumpHex bytes
     let ascii = dumpASCII bytes
     addr.ToString ("X16") + ": " + hex + " | " + ascii
 
-  let hexdump = function
+  let private hexdump = function
     | Ok (addr, bytes: byte []) ->
       Array.chunkBySize 16 bytes
       |> Array.mapi (dumpLine addr)
     | Error e -> [| e |]
 
+  /// Dump the given number of bytes (count) from the given address (addr) in a
+  /// HEX + ASCII format. Both arguments are strings as given by the user.
+  let dump binEssence addr count =
+    parseAddr addr
+    |> Result.bind (parseCount count)
+    |> Result.bind (readBytes binEssence)
+    |> hexdump
+
+type CmdHexDump () =
+  inherit Cmd ()
+
   override __.CmdName = "hexdump"
 
   override __.CmdAlias = [ "hd" ]
@@ -88,11 +98,7 @@ type CmdHexDump () =
 
   override __.CallBack _ binEssence args =
     match args with
-    | addr :: cnt :: _ ->
-      parseAddr addr
-      |> Result.bind (parseCount cnt)
-      |> Result.bind (readBytes binEssence)
-      |> hexdump
+    | addr :: cnt :: _ -> HexDump.dump binEssence addr cnt
     | _ -> [| __.CmdHelp |]
 
 // vim: set tw=80 sts=2 sw=2:
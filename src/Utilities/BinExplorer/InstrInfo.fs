@@ -0,0 +1,150 @@
+(*
+  B2R2 - the Next-Generation Reversing Platform
+
+  Author: Sang Kil Cha <sangkilc@kaist.ac.kr>
+
+  Copyright (c) SoftSec Lab. @ KAIST, since 2016
+
+  Permission is hereby granted, free of charge, to any person obtaining a copy
+  of this software and associated documentation files (the "Software"), to deal
+  in the Software without restriction, including without limitation the rights
+  to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+  copies of the Software, and to permit persons to whom the Software is
+  furnished to do so, subject to the following conditions:
+
+  The above copyright notice and this permission notice shall be included in all
+  copies or substantial portions of the Software.
+
+  THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+  IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+  FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+  AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+  LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+  OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+  SOFTWARE.
+*)
+
+namespace B2R2.Utilities.BinExplorer
+
+open System
+open B2R2
+open B2R2.FrontEnd
+open B2R2.BinIR.LowUIR
+open Microsoft.FSharpLu.Json
+
+/// An operand of an instruction, where Kind is one of "register", "memory",
+/// "immediate" and "other", e.g., a symbol or a register list.
+type OperandInfo = {
+  Text : string
+  Kind : string
+}
+
+/// The semantics of a single instruction, which the inspector of the web UI
+/// shows. Stmts are the LowUIR statements lifted from the instruction, and
+/// Reads and Writes are the registers that the statements read and write.
+type InstrInfo = {
+  Address  : Addr
+  Bytes    : string
+  Length   : uint32
+  Disasm   : string
+  Opcode   : string
+  Operands : OperandInfo []
+  Stmts    : string []
+  Reads    : string []
+  Writes   : string []
+}
+
+module internal InstrInfo =
+  let rec private regsOf acc = function
+    | Var (_, _, name, _) | PCVar (_, name) -> Set.add name acc
+    | UnOp (_, e, _, _)
+    | Cast (_, _, e, _, _)
+    | Extract (e, _, _, _, _)
+    | Load (_, _, e, _, _) -> regsOf acc e
+    | BinOp (_, _, e1, e2, _, _)
+    | RelOp (_, e1, e2, _, _) -> regsOf (regsOf acc e1) e2
+    | Ite (cond, e1, e2, _, _) -> regsOf (regsOf (regsOf acc cond) e1) e2
+    | _ -> acc
+
+  /// Return the registers read and written by the statements.
+  let private accessesOf stmts =
+    let read reads exprs = List.fold regsOf reads exprs
+    stmts
+    |> Array.fold (fun (reads, writes) stmt ->
+      match stmt with
+      | Put ((Var (_, _, name, _) | PCVar (_, name)), e) ->
+        read reads [ e ], Set.add name writes
+      | Put (_, e) | Jmp e | InterJmp (_, e) -> read reads [ e ], writes
+      | Store (_, addr, e) -> read reads [ addr; e ], writes
+      | CJmp (cond, t, f)
+      | InterCJmp (cond, _, t, f) -> read reads [ cond; t; f ], writes
+      | _ -> reads, writes) (Set.empty, Set.empty)
+
+  /// Split the operands at the commas that are not in brackets or braces,
+  /// e.g., "r0, [r1, #4]" has two operands.
+  let private splitOperands (str: string) =
+    let folder (depth, cur, acc) ch =
+      match ch with
+      | '[' | '{' | '(' -> depth + 1, cur + string ch, acc
+      | ']' | '}' | ')' -> depth - 1, cur + string ch, acc
+      | ',' when depth = 0 -> depth, "", cur :: acc
+      | _ -> depth, cur + string ch, acc
+    let _, cur, acc = Seq.fold folder (0, "", []) str
+    cur :: acc
+    |> List.rev
+    |> List.map (fun s -> s.Trim ())
+    |> List.filter (fun s -> s.Length > 0)
+
+  let private isImmediate (str: string) =
+    let str = str.TrimStart('#', '$').TrimStart '-'
+    if str.StartsWith "0x" || str.StartsWith "0X" then
+      str.Length > 2
+      && Seq.forall Uri.IsHexDigit (str.Substring 2)
+    else str.Length > 0 && Seq.forall Char.IsDigit str
+
+  /// An operand is a register if the IR of the instruction accesses a register
+  /// of the same family, e.g., EAX is a part of RAX in the IR.
+  let private isRegister regs (str: string) =
+    let family = DefUse.regFamily (str.ToUpper ())
+    Set.exists (fun reg -> DefUse.regFamily reg = family) regs
+
+  let private ofOperand regs (str: string) =
+    let kind =
+      if str.Contains "[" then "memory"
+      elif isImmediate str then "immediate"
+      elif isRegister regs str then "register"
+      else "other"
+    { Text = str; Kind = kind }
+
+  let private toHex (bytes: byte []) =
+    bytes |> Array.map (fun b -> b.ToString ("X2")) |> String.concat " "
+
+  let private ofInstruction hdl (ins: Instruction) =
+    let stmts = BinHandler.LiftInstr hdl ins
+    let reads, writes = accessesOf stmts
+    let disasm = ins.Disasm (false, true, hdl.FileInfo)
+    let opcode, operands =
+      match disasm.IndexOf ' ' with
+      | -1 -> disasm, ""
+      | idx -> disasm.Substring (0, idx), disasm.Substring (idx + 1)
+    let regs = Set.union reads writes
+    { Address = ins.Address
+      Bytes = BinHandler.ReadBytes (hdl, ins.Address, int ins.Length) |> toHex
+      Length = ins.Length
+      Disasm = disasm
+      Opcode = opcode
+      Operands =
+        splitOperands operands |> List.map (ofOperand regs) |> Array.ofList
+      Stmts = stmts |> Array.map Pp.stmtToString
+      Reads = Set.toArray reads
+      Writes = Set.toArray writes }
+
+  /// Parse and lift the instruction at addr, and serialize its semantics.
+  let compute hdl addr =
+    match BinHandler.TryParseInstr hdl addr with
+    | Some ins ->
+      try ofInstruction hdl ins |> Compact.serialize<InstrInfo> |> Ok
+      with _ -> Error ("Cannot lift the instruction at " + addr.ToString ("X"))
+    | None -> Error ("No instruction is found at " + addr.ToString ("X"))
+
+// vim: set tw=80 sts=2 sw=2:
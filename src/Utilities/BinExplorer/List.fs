@@ -36,14 +36,14 @@ type CmdList () =
   let addrToString (addr: uint64) =
     addr.ToString ("X16")
 
-  let createFuncString (funcs: Funcs) addr =
-    let f = funcs.[addr]
-    addrToString addr + ": " + f.Name
+  let createFuncString (ess: BinEssence) addr =
+    let f = ess.Functions.[addr]
+    addrToString addr + ": " + BinEssence.FuncName f ess
 
-  let listFunctions (funcs: Funcs) =
-    funcs.Keys
+  let listFunctions (ess: BinEssence) =
+    ess.Functions.Keys
     |> Seq.sort
-    |> Seq.map (createFuncString funcs)
+    |> Seq.map (createFuncString ess)
     |> Seq.toArray
 
   let createSegmentString (seg: Segment) =
@@ -74,7 +74,7 @@ type CmdList () =
   override __.CallBack _ (binEssence: BinEssence) args =
     match args with
     | "functions" :: _
-    | "funcs" :: _ -> listFunctions binEssence.Functions
+    | "funcs" :: _ -> listFunctions binEssence
     | "segments" :: _
     | "segs" :: _ -> listSegments binEssence.BinHandler
     | _ -> [| "[*] Unknown list cmd is given." |]
@@ -148,16 +148,22 @@ let startGUI (opts: BinExplorerOpts) arbiter =
   HTTPServer.startServer arbiter opts.Port |> Async.Start
 
 /// Dump each CFG into JSON file. This feature is implemented to ease the
-/// development and debugging process, and may be removed in the future.
+/// development and debugging process, and may be removed in the future. Along
+/// with the raw CFGs, we also dump the visualized graphs (.vis files), the call
+/// graph and the function list, which the web UI can browse in offline mode.
 let dumpJsonFiles jsonDir ess =
   try System.IO.Directory.Delete(jsonDir, true) with _ -> ()
   System.IO.Directory.CreateDirectory(jsonDir) |> ignore
+  let encoding = System.Text.Encoding.UTF8
+  let hdl = ess.BinHandler
+  let write name (str: string) =
+    let path = System.IO.Path.Combine (jsonDir, name)
+    System.IO.File.WriteAllBytes(path, encoding.GetBytes str)
   List.iter
     (fun (func: Function) ->
-      let disasmJsonPath = Printf.sprintf "%s/%s.disasmCFG" jsonDir func.Name
-      let irJsonPath = Printf.sprintf "%s/%s.irCFG" jsonDir func.Name
-      let encoding = System.Text.Encoding.UTF8
-      let hdl = ess.BinHandler
+      let fname = BinEssence.FuncName func ess
+      let disasmJsonPath = Printf.sprintf "%s/%s.disasmCFG" jsonDir fname
+      let irJsonPath = Printf.sprintf "%s/%s.irCFG" jsonDir fname
       let disasmJson =
         CFGUtils.disasmCFGToJson hdl func.DisasmCFG func.Entry
         |> encoding.GetBytes
@@ -165,7 +171,15 @@ let dumpJsonFiles jsonDir ess =
         CFGUtils.irCFGToJson hdl func.IRCFG func.Entry |> encoding.GetBytes
       System.IO.File.WriteAllBytes(disasmJsonPath, disasmJson)
       System.IO.File.WriteAllBytes(irJsonPath, irJson)
+      Visualizer.visualizeDisasmCFG hdl ess.Comments func.DisasmCFG
+      |> write (fname + ".disasmCFG.vis")
+      Visualizer.visualizeIRCFG func.IRCFG |> write (fname + ".irCFG.vis")
     ) <| List.ofSeq ess.Functions.Values
+  let name = System.IO.Path.GetFileName hdl.FileInfo.FilePath
+  let nameOf func = BinEssence.FuncName func ess
+  Visualizer.visualizeCallGraph name nameOf ess.Functions
+  |> write "callgraph.vis"
+  FunctionInfo.ofBinEssence ess |> FunctionInfo.toJson |> write "functions.json"
 
 let initBinHdl name =
   let fmt, isa = FormatDetector.detect name
@@ -182,7 +196,8 @@ let realMain (opts: BinExplorerOpts) =
     let outputJson = opts.JsonDumpFile
     visualizeGraph inputJson outputJson
   else
-    let ess = initBinHdl opts.InputFile |> buildGraph opts.Verbose
+    let ess =
+      initBinHdl opts.InputFile |> buildGraph opts.Verbose |> Project.load
     if opts.JsonDumpDir <> "" then dumpJsonFiles opts.JsonDumpDir ess
     else ()
     let arbiter = Protocol.genArbiter ess opts.LogFile
@@ -0,0 +1,100 @@
+(*
+  B2R2 - the Next-Generation Reversing Platform
+
+  Author: Sang Kil Cha <sangkilc@kaist.ac.kr>
+
+  Copyright (c) SoftSec Lab. @ KAIST, since 2016
+
+  Permission is hereby granted, free of charge, to any person obtaining a copy
+  of this software and associated documentation files (the "Software"), to deal
+  in the Software without restriction, including without limitation the rights
+  to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+  copies of the Software, and to permit persons to whom the Software is
+  furnished to do so, subject to the following conditions:
+
+  The above copyright notice and this permission notice shall be included in all
+  copies or substantial portions of the Software.
+
+  THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+  IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+  FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+  AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+  LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+  OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+  SOFTWARE.
+*)
+
+/// A project file keeps user annotations of a binary, so that they survive
+/// restarts. The file is stored next to the binary with the ".b2r2" extension.
+module internal B2R2.Utilities.BinExplorer.Project
+
+open System
+open System.Globalization
+open B2R2
+open B2R2.BinGraph
+open Microsoft.FSharpLu.Json
+
+/// The contents of a project file. Addresses are stored as hexadecimal strings.
+type ProjectFile = {
+  Renames  : Map<string, string>
+  Comments : Map<string, string>
+}
+
+let getPath (ess: BinEssence) =
+  ess.BinHandler.FileInfo.FilePath + ".b2r2"
+
+let private parseAddr (addr: string) =
+  let style = NumberStyles.HexNumber
+  match UInt64.TryParse (addr, style, CultureInfo.InvariantCulture) with
+  | true, addr -> Ok addr
+  | false, _ -> Error ("Invalid address: " + addr)
+
+/// Convert the keys of the map into addresses. This fails if any of the keys is
+/// not a hexadecimal address, e.g., in a hand-edited project file.
+let private toAddrMap m =
+  let folder acc addr v =
+    match acc, parseAddr addr with
+    | Ok m, Ok addr -> Ok (Map.add addr v m)
+    | Error e, _ | _, Error e -> Error e
+  Map.fold folder (Ok Map.empty) m
+
+let private ofAddrMap m =
+  m
+  |> Map.toSeq
+  |> Seq.map (fun (addr: Addr, v) -> addr.ToString ("X"), v)
+  |> Map.ofSeq
+
+/// Save the annotations of the given BinEssence to its project file.
+let save (ess: BinEssence) =
+  let proj = { Renames = ofAddrMap ess.Renames
+               Comments = ofAddrMap ess.Comments }
+  try Compact.serializeToFile (getPath ess) proj
+  with e -> eprintfn "[*] Failed to save the project file: %s" e.Message
+
+let private applyRename ess (entry, name) =
+  match BinEssence.TryFindFuncByEntry entry ess with
+  | Some func -> BinEssence.RenameFunc func name ess
+  | None -> ess
+
+/// Load the project file of the given BinEssence if it exists, and return a new
+/// BinEssence with the annotations applied.
+let load (ess: BinEssence) =
+  let path = getPath ess
+  if IO.File.Exists path then
+    let annotations =
+      match Compact.tryDeserializeFile<ProjectFile> path with
+      | Choice1Of2 proj ->
+        match toAddrMap proj.Comments, toAddrMap proj.Renames with
+        | Ok comments, Ok renames -> Ok (comments, renames)
+        | Error e, _ | _, Error e -> Error e
+      | Choice2Of2 e -> Error e
+    match annotations with
+    | Ok (comments, renames) ->
+      let ess = { ess with Comments = comments }
+      renames |> Map.toList |> List.fold applyRename ess
+    | Error e ->
+      eprintfn "[*] Failed to load the project file: %s" e
+      ess
+  else ess
+
+// vim: set tw=80 sts=2 sw=2:
@@ -29,10 +29,25 @@ namespace B2R2.Utilities.BinExplorer
 open B2R2
 open System.IO
 
+/// A change of the analysis state, which the arbiter broadcasts to its
+/// subscribers, e.g., the web UI.
+type ChangeEvent =
+  (* A function is renamed from the first name to the second name. *)
+  | FuncRenamed of string * string
+  | CommentChanged of Addr * string
+  (* A command line from the CLI or the web console, and its output. *)
+  | CLICommand of string * string []
+
+/// A subscriber of change events. It returns false when it can no longer
+/// receive events, e.g., its connection is closed.
+type Subscriber = ChangeEvent -> bool
+
 type SendMsg =
   | GetBinEssence
   | LogString of string
-  | UpdateBinEssence of BinGraph.BinEssence
+  | UpdateBinEssence of BinGraph.BinEssence * ChangeEvent
+  | Notify of ChangeEvent
+  | Subscribe of Subscriber
   | Terminate
 
 type ReplyMsg =
@@ -50,23 +65,38 @@ module internal Protocol =
 
   let genArbiter binEssence logFile =
     let logger = new StreamWriter (path=logFile, AutoFlush=true)
+    (* Subscribers that fail to receive an event are dropped. *)
+    let broadcast evt subs = List.filter (fun (sub: Subscriber) -> sub evt) subs
     Agent.Start (fun inbox ->
-      let rec loop ess = async {
+      let rec loop ess subs = async {
         let! (msg, channel) = inbox.Receive ()
-        match msg with
-        | Send GetBinEssence ->
-          Reply (ReplyBinEssence ess) |> channel.Reply
-        | Send (LogString str) ->
-          logger.WriteLine str
-          channel.Reply (Reply Ack)
-        | Send (Terminate) ->
-          logger.Close ()
-          logger.Dispose ()
-          channel.Reply (Reply Ack)
-        | _ -> ()
-        return! loop ess
+        let ess, subs =
+          match msg with
+          | Send GetBinEssence ->
+            Reply (ReplyBinEssence ess) |> channel.Reply
+            ess, subs
+          | Send (LogString str) ->
+            logger.WriteLine str
+            channel.Reply (Reply Ack)
+            ess, subs
+          | Send (UpdateBinEssence (newEss, evt)) ->
+            channel.Reply (Reply Ack)
+            newEss, broadcast evt subs
+          | Send (Notify evt) ->
+            channel.Reply (Reply Ack)
+            ess, broadcast evt subs
+          | Send (Subscribe sub) ->
+            channel.Reply (Reply Ack)
+            ess, sub :: subs
+          | Send (Terminate) ->
+            logger.Close ()
+            logger.Dispose ()
+            channel.Reply (Reply Ack)
+            ess, subs
+          | _ -> ess, subs
+        return! loop ess subs
       }
-      loop binEssence
+      loop binEssence []
     )
 
   let getBinEssence (arbiter: Agent) =
@@ -74,6 +104,23 @@ module internal Protocol =
     | Reply (ReplyBinEssence (ess)) -> ess
     | _ -> failwith "Failed to obtain the BinEssence."
 
+  /// Update the BinEssence, and broadcast the change to the subscribers.
+  let updateBinEssence (arbiter: Agent) ess evt =
+    let msg ch = Send (UpdateBinEssence (ess, evt)), ch
+    match arbiter.PostAndReply msg with
+    | Reply Ack -> ()
+    | _ -> failwith "Failed to update the BinEssence."
+
+  let notify (arbiter: Agent) evt =
+    match arbiter.PostAndReply (fun ch -> Send (Notify evt), ch) with
+    | Reply Ack -> ()
+    | _ -> failwith "Failed to notify the change."
+
+  let subscribe (arbiter: Agent) sub =
+    match arbiter.PostAndReply (fun ch -> Send (Subscribe sub), ch) with
+    | Reply Ack -> ()
+    | _ -> failwith "Failed to subscribe."
+
   let logString (arbiter: Agent) str =
     match arbiter.PostAndReply (fun ch -> Send (LogString str), ch) with
     | Reply Ack -> ()
@@ -0,0 +1,169 @@
+(*
+  B2R2 - the Next-Generation Reversing Platform
+
+  Author: Sang Kil Cha <sangkilc@kaist.ac.kr>
+
+  Copyright (c) SoftSec Lab. @ KAIST, since 2016
+
+  Permission is hereby granted, free of charge, to any person obtaining a copy
+  of this software and associated documentation files (the "Software"), to deal
+  in the Software without restriction, including without limitation the rights
+  to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+  copies of the Software, and to permit persons to whom the Software is
+  furnished to do so, subject to the following conditions:
+
+  The above copyright notice and this permission notice shall be included in all
+  copies or substantial portions of the Software.
+
+  THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+  IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+  FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+  AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+  LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+  OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+  SOFTWARE.
+*)
+
+namespace B2R2.Utilities.BinExplorer
+
+open System
+open System.Collections.Generic
+open B2R2
+open B2R2.FrontEnd
+open B2R2.ROP
+open Microsoft.FSharpLu.Json
+
+/// A ROP gadget and its side effects, which the web UI lists. Regs are the
+/// registers that the gadget writes. The side effects are unknown if the gadget
+/// cannot be summarized, i.e., Summarized is false.
+type GadgetInfo = {
+  Offset     : Addr
+  Instrs     : string []
+  Regs       : string []
+  MemWrite   : bool
+  SysCall    : bool
+  Summarized : bool
+}
+
+/// A word of a ROP chain. A gadget word has the instructions of the gadget as
+/// its comment.
+type ChainWord = {
+  Value   : uint32
+  Comment : string
+}
+
+module internal ROPInfo =
+  /// Building a ROP handle searches for every gadget of a binary, so we build
+  /// it only once for each binary.
+  let private handles =
+    Dictionary<BinHandler, ROPHandle> (HashIdentity.Reference)
+
+  let private getHandle hdl =
+    lock handles (fun () ->
+      match handles.TryGetValue hdl with
+      | true, rop -> rop
+      | false, _ ->
+        let rop = ROPHandle.init hdl 0UL
+        handles.[hdl] <- rop
+        rop)
+
+  let private disasm hdl (gadget: Gadget) =
+    gadget.Instrs
+    |> List.map (BinHandler.DisasmInstr hdl false false)
+    |> Array.ofList
+
+  let private ofGadget (rop: ROPHandle) (gadget: Gadget) =
+    let instrs = disasm rop.BinHdl gadget
+    try
+      let sum =
+        rop.Summaries.GetOrAdd (gadget.Offset,
+                                (fun _ -> Summary.summary gadget))
+      { Offset = gadget.Offset
+        Instrs = instrs
+        Regs = sum.OutRegs |> Map.toArray |> Array.map fst
+        MemWrite = not sum.OutMems.IsEmpty
+        SysCall = sum.SideEff
+        Summarized = true }
+    with _ ->
+      { Offset = gadget.Offset
+        Instrs = instrs
+        Regs = [||]
+        MemWrite = false
+        SysCall = false
+        Summarized = false }
+
+  let gadgetsToJson hdl =
+    let rop = getHandle hdl
+    rop.Gadgets
+    |> Array.map (ofGadget rop)
+    |> Compact.serialize<GadgetInfo []>
+
+  /// Values are either decimal or hexadecimal (with 0x) as in the rop command.
+  let private toExpr (str: string) = ROPExpr.ofUInt32 (uint32 str)
+
+  let private toRegVal (str: string) =
+    match str.Split '=' with
+    | [| reg; v |] -> (reg.ToUpper (), toExpr v)
+    | _ -> raise (FormatException str)
+
+  let private findGadget (rop: ROPHandle) offset =
+    rop.Gadgets |> Array.tryFind (fun g -> g.Offset = offset)
+
+  let private buildStep rop (step: string) =
+    let seps = [| ' '; '\t' |]
+    match step.Split (seps, StringSplitOptions.RemoveEmptyEntries)
+          |> List.ofArray with
+    | [] -> Some ROPPayload.empty
+    | "set" :: regs ->
+      List.map toRegVal regs |> Map.ofList |> ROPHandle.setupRegs rop
+    | "call" :: target :: args ->
+      let args = Array.ofList args |> Array.map toExpr
+      ROPHandle.funCall rop (toExpr target) args
+    | "write" :: target :: vals ->
+      let vals = Array.ofList vals |> Array.map toExpr
+      ROPHandle.write32s rop (toExpr target) vals
+    | [ "pivot"; esp ] -> ROPHandle.stackPivot rop (toExpr esp)
+    | [ "exec" ] -> ROPHandle.execShell rop
+    | [ "gadget"; offset ] ->
+      findGadget rop (uint64 offset)
+      |> Option.map (fun g -> ROPPayload.empty |> ROPPayload.addGadget g)
+    | "value" :: vals ->
+      let vals = Array.ofList vals |> Array.map uint32
+      Some (ROPPayload.empty |> ROPPayload.addNum32s vals)
+    | _ -> None
+
+  let private toWord (rop: ROPHandle) = function
+    | ROPValue.Expr (ROPExpr.Num n) ->
+      Some { Value = BitVector.toUInt32 n; Comment = "" }
+    | ROPValue.Expr _ -> None
+    | ROPValue.Gadget g ->
+      let comment = disasm rop.BinHdl g |> String.concat "; "
+      Some { Value = uint32 g.Offset + uint32 rop.BinBase; Comment = comment }
+
+  let private toWords rop (payload: ROPPayload) =
+    let words = Array.choose (toWord rop) payload
+    if words.Length = payload.Length then Ok words
+    else Error "The chain has unresolved values."
+
+  let private addStep rop acc (step: string) =
+    match acc with
+    | Error _ -> acc
+    | Ok payload ->
+      match (try buildStep rop step with _ -> None) with
+      | Some p -> Ok (ROPPayload.merge payload p)
+      | None -> Error ("Cannot build the step: " + step.Trim ())
+
+  /// Build a ROP chain from the steps. Each step is one of "set REG=VALUE ...",
+  /// "call TARGET ARG ...", "write ADDR VALUE ...", "pivot ESP", "exec",
+  /// "gadget OFFSET" and "value VALUE ...". This returns the words of the chain
+  /// or the error of the first step that fails.
+  let buildChain (hdl: BinHandler) steps =
+    match hdl.ISA.Arch with
+    | Architecture.IntelX86 ->
+      let rop = getHandle hdl
+      Array.fold (addStep rop) (Ok ROPPayload.empty) steps
+      |> Result.bind (toWords rop)
+      |> Result.map (fun words -> Compact.serialize<ChainWord []> words)
+    | arch -> Error ("We currently do not support " + ISA.ArchToString arch)
+
+// vim: set tw=80 sts=2 sw=2:
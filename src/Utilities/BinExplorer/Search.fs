@@ -27,19 +27,192 @@
 namespace B2R2.Utilities.BinExplorer
 
 open System
+open System.Collections.Generic
+open System.Text.RegularExpressions
 open B2R2
 open B2R2.BinFile
 open B2R2.FrontEnd
+open B2R2.BinGraph
+open Microsoft.FSharpLu.Json
+
+/// A search result shown in the search panel of the web UI. Function is the
+/// function containing the hit. When the hit is data, RefFunc and RefAddr tell
+/// the first instruction that refers to it (RefAddr is 0 if there is none).
+type SearchHit = {
+  Address  : Addr
+  Text     : string
+  Section  : string
+  Function : string
+  RefFunc  : string
+  RefAddr  : Addr
+}
+
+module internal Search =
+  let [<Literal>] private MaxHits = 1000
+
+  /// Strings shorter than this are not extracted for regex search.
+  let [<Literal>] private MinStrLen = 4
+
+  /// The server handles one request at a time, so a regex that backtracks too
+  /// much should not keep it busy.
+  let private regexTimeout = TimeSpan.FromSeconds 1.0
+
+  let private readSegments hdl =
+    hdl.FileInfo.GetSegments (Permission.Readable)
+    |> Seq.map (fun s -> s.Address, BinHandler.ReadBytes (hdl, s.Address,
+                                                          int s.Size))
+
+  let private matchesAt (pattern: byte option []) (bytes: byte []) idx =
+    let rec loop i =
+      i = pattern.Length
+      || (match pattern.[i] with
+          | Some b -> bytes.[idx + i] = b
+          | None -> true) && loop (i + 1)
+    loop 0
+
+  /// Find the addresses of the pattern in the readable segments. None in the
+  /// pattern matches any byte.
+  let findPattern hdl (pattern: byte option []) =
+    if Array.isEmpty pattern then Seq.empty
+    else
+      readSegments hdl
+      |> Seq.collect (fun (addr, bytes) ->
+        seq { 0 .. bytes.Length - pattern.Length }
+        |> Seq.filter (matchesAt pattern bytes)
+        |> Seq.map (fun idx -> addr + uint64 idx))
+
+  /// Parse a hex pattern, e.g., "48 8b ?? e8", where "??" matches any byte.
+  let parseHexPattern (str: string) =
+    let str = str.Replace (" ", "")
+    let toByte idx =
+      match str.Substring (idx * 2, 2) with
+      | "??" -> None
+      | s -> Some (Convert.ToByte (s, 16))
+    if str.Length = 0 || str.Length % 2 <> 0 then None
+    else try Array.init (str.Length / 2) toByte |> Some with _ -> None
+
+  let private isPrintable (b: byte) = (b >= 0x20uy && b < 0x7fuy) || b = 9uy
+
+  let private stringsOf (addr: Addr, bytes: byte []) =
+    let strs = List<Addr * string> ()
+    let mutable start = 0
+    for i in 0 .. bytes.Length do
+      if i = bytes.Length || not (isPrintable bytes.[i]) then
+        if i - start >= MinStrLen then
+          let str = Text.Encoding.ASCII.GetString (bytes, start, i - start)
+          strs.Add ((addr + uint64 start, str))
+        else ()
+        start <- i + 1
+      else ()
+    strs :> seq<_>
+
+  /// Find the printable strings of the readable segments matching the regex.
+  let findStrings hdl (regex: Regex) =
+    readSegments hdl
+    |> Seq.collect stringsOf
+    |> Seq.filter (fun (_, str) -> regex.IsMatch str)
+
+  /// Finding references disassembles every function, so we do it only once
+  /// for each binary. An entry maps a referenced address to the entry of the
+  /// referencing function and the address of the referencing instruction.
+  let private refs =
+    Dictionary<BinHandler, Map<Addr, Addr * Addr>> (HashIdentity.Reference)
+
+  let private hexRegex = Regex ("0x[0-9a-fA-F]+")
+
+  let private addRefs hdl (func: Function) acc (ins: Instruction) =
+    let disasm = BinHandler.DisasmInstr hdl false false ins
+    hexRegex.Matches disasm
+    |> Seq.cast<Match>
+    |> Seq.fold (fun acc m ->
+      let hex = m.Value.Substring 2
+      let style = Globalization.NumberStyles.HexNumber
+      let culture = Globalization.CultureInfo.InvariantCulture
+      match UInt64.TryParse (hex, style, culture) with
+      | true, target when not (Map.containsKey target acc) ->
+        Map.add target (func.Entry, ins.Address) acc
+      | _ -> acc) acc
+
+  let private buildRefs (ess: BinEssence) =
+    let hdl = ess.BinHandler
+    ess.Functions.Values
+    |> Seq.fold (fun acc func ->
+      func.DisasmCFG.FoldVertex (fun acc (v: DisasmVertex) ->
+        List.fold (addRefs hdl func) acc v.VData.Instrs) acc) Map.empty
+
+  let private getRefs (ess: BinEssence) =
+    lock refs (fun () ->
+      match refs.TryGetValue ess.BinHandler with
+      | true, m -> m
+      | false, _ ->
+        let m = buildRefs ess
+        refs.[ess.BinHandler] <- m
+        m)
+
+  let private funcName addr ess =
+    match BinEssence.TryFindFuncByAddr addr ess with
+    | Some func -> BinEssence.FuncName func ess
+    | None -> ""
+
+  let private toHit ess refMap (addr, text) : SearchHit =
+    let sec = ess.BinHandler.FileInfo.GetSections addr |> Seq.tryHead
+    let refFunc, refAddr =
+      match Map.tryFind addr refMap with
+      | Some (entry, insAddr) ->
+        match BinEssence.TryFindFuncByEntry entry ess with
+        | Some func -> BinEssence.FuncName func ess, insAddr
+        | None -> "", 0UL
+      | None -> "", 0UL
+    { Address = addr
+      Text = text
+      Section = sec |> Option.map (fun s -> s.Name) |> Option.defaultValue ""
+      Function = funcName addr ess
+      RefFunc = refFunc
+      RefAddr = refAddr }
+
+  let private hexText hdl len addr =
+    let bytes = BinHandler.ReadBytes (hdl, addr, len)
+    addr, BitConverter.ToString(bytes).Replace ("-", " ")
+
+  let private findHits ess kind (pattern: string) =
+    let hdl = ess.BinHandler
+    match kind with
+    | "s" | "string" ->
+      let bytes = Text.Encoding.ASCII.GetBytes pattern |> Array.map Some
+      findPattern hdl bytes |> Seq.map (fun addr -> addr, pattern) |> Ok
+    | "h" | "hex" ->
+      match parseHexPattern pattern with
+      | Some bytes ->
+        findPattern hdl bytes |> Seq.map (hexText hdl bytes.Length) |> Ok
+      | None -> Error ("Invalid hex pattern: " + pattern)
+    | "r" | "regex" ->
+      let regex () = Regex (pattern, RegexOptions.None, regexTimeout)
+      match (try Some (regex ()) with _ -> None) with
+      | Some regex -> findStrings hdl regex |> Ok
+      | None -> Error ("Invalid regex: " + pattern)
+    | kind -> Error ("Unknown search type: " + kind)
+
+  /// Search the binary for the pattern of the given kind (string, hex, or
+  /// regex), and serialize at most MaxHits results.
+  let search ess kind pattern =
+    try
+      findHits ess kind pattern
+      |> Result.map (fun hits ->
+        let refMap = getRefs ess
+        hits
+        |> Seq.truncate MaxHits
+        |> Seq.map (toHit ess refMap)
+        |> Seq.toArray
+        |> Compact.serialize<SearchHit []>)
+    with :? RegexMatchTimeoutException ->
+      Error ("The regex takes too long to match: " + pattern)
 
 type CmdSearch () =
   inherit Cmd ()
 
   let search hdl pattern =
-    hdl.FileInfo.GetSegments (Permission.Readable)
-    |> Seq.map (fun s -> BinHandler.ReadBytes (hdl, s.Address, int s.Size)
-                         |> ByteArray.findIdxs 0UL pattern
-                         |> List.map (fun idx -> idx + s.Address))
-    |> Seq.concat
+    Array.map Some pattern
+    |> Search.findPattern hdl
     |> Seq.map (fun idx -> "Found @ " + idx.ToString("X"))
     |> Seq.toList
 
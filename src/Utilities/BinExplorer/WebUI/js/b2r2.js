@@ -46,6 +46,288 @@ var edgeThickness = 3;
 // The duration time for zooming when both nodes and edges are double clicked.
 var focusMovementDuration = 750;
 
+// The zoom factor of a keystroke, and the duration time of the zooming.
+var keyZoomRate = 1.5;
+var keyZoomDuration = 250;
+
+// CFG viewers, each of which shows a graph with its own zoom, minimap and
+// highlights. A viewer is a tab in one of the two panes, and page-wide panels,
+// e.g., the hex view, follow the active viewer. See createViewer.
+var viewers = [];
+var activeViewer = null;
+var lastViewerId = 0;
+
+// The viewer shown in each pane, and whether the second pane is shown.
+var paneViewers = [null, null];
+var isSplit = false;
+
+// The gap (in pixels) between the two panes.
+var paneGap = 10;
+
+// The zoom scale below which nodes are drawn as boxes without text.
+var detailScale = 0.4;
+
+// The margin (in pixels) around the viewport in which nodes are built ahead.
+var renderMargin = 200;
+
+// Terms of these tags are highlighted together when one of them is clicked.
+var irWordTags = ["IRVar", "IRTempVar", "IRLabel"];
+
+// Mnemonics of direct branch instructions whose hexadecimal operands are
+// considered as branch targets.
+var branchRegex = new RegExp("^(call|j[a-z]*|cbn?z|tbn?z|" +
+    "b(l|lx|al|eq|ne|cs|cc|hs|lo|mi|pl|vs|vc|hi|ls|ge|lt|gt|le|" +
+    "gez|gtz|lez|ltz|gezal|ltzal)?(\\.[a-z]+)?)$");
+
+// Navigation history. Each location is a pair of a function name and an
+// address (which can be null).
+var navStack = [];
+var navIndex = -1;
+
+// The current view is kept in the URL hash, e.g., "#func=main&addr=401000&
+// mode=ir&zoom=-120,35,0.8", so that the view can be shared and restored. The
+// hash follows zooming and selecting with this delay (in ms).
+var hashDelay = 300;
+var hashTimer = null;
+
+// The number of extra bytes shown before and after a block in the hex view.
+var hexContext = 0x80;
+
+// The instruction boundaries of the block shown in the hex view, i.e., the
+// start address of each instruction followed by the end address of the block.
+var hexBounds = null;
+
+// The address of the instruction highlighted in the hex view.
+var hexInstrAddr = null;
+
+// Command history of the console, and the current position in the history.
+var cmdHistory = [];
+var cmdHistoryIndex = 0;
+
+// Command lines sent from this page, whose broadcast we have not received yet.
+// The page shows their output from the answer, so it skips the broadcast.
+var sentCommands = [];
+
+// Command keywords for tab completion in the console.
+var cmdKeywords = [];
+
+// Hexadecimal addresses in the console output, e.g., "0x401000" or
+// "0000000000401000". Short hexadecimal numbers without the prefix are not
+// considered as addresses.
+var consoleAddrRegex = /\b(0x[0-9A-Fa-f]+|[0-9A-Fa-f]{8,16})\b/g;
+
+// Columns of the function table. Each column is sorted by the key.
+var funcColumns = [
+    { key: "Name", title: "Name" },
+    { key: "Entry", title: "Entry" },
+    { key: "Blocks", title: "BBs" },
+    { key: "Instrs", title: "Instrs" },
+    { key: "Callers", title: "In" },
+    { key: "Callees", title: "Out" },
+    { key: "Coverage", title: "Cov" }
+];
+
+// Function records from the server, and the rows of the function table, which
+// are the records that match the current search.
+var funcRecords = [];
+var funcRows = [];
+
+// The current sorting column of the function table (null means the search
+// score order), and its order.
+var funcSortKey = null;
+var funcSortAsc = true;
+
+// The height of a row in the function table.
+var funcRowHeight = 22;
+
+// Graphs loaded in offline mode. This maps a function name to its graphs of
+// each view mode, e.g., offlineGraphs["main"].disasm.
+var offlineGraphs = {};
+
+// The call graph loaded in offline mode.
+var offlineCallGraph = null;
+
+// The address of the root node of a call graph, which is not a function. See
+// callGraphRoot in Graphs.fs.
+var callGraphRoot = Number.MAX_SAFE_INTEGER;
+
+// Overlays that style the nodes and the edges of the graph (g) of a viewer
+// (vw), in the order of application. The nodeStyle (edgeStyle) function of an
+// overlay returns the style of the i-th node (edge), or null.
+var overlays = [
+    { isEnabled: hasCollapsedRegions,
+      nodeStyle: collapsedNodeStyle, edgeStyle: function () { return null; } },
+    { isEnabled: isCoverageEnabled,
+      nodeStyle: coverageNodeStyle, edgeStyle: coverageEdgeStyle },
+    { isEnabled: isLoopOverlayEnabled,
+      nodeStyle: loopNodeStyle, edgeStyle: function () { return null; } },
+    { isEnabled: isDomOverlayEnabled,
+      nodeStyle: domNodeStyle, edgeStyle: function () { return null; } },
+    { isEnabled: isPathOverlayEnabled,
+      nodeStyle: pathNodeStyle, edgeStyle: pathEdgeStyle }
+];
+
+// Hit counts of the loaded execution trace (a map from an address to its hit
+// count), and the maximum hit count.
+var traceHits = null;
+var traceMaxHits = 1;
+
+// Coverage (%) of each function, which maps an entry address to its coverage.
+var funcCoverage = {};
+
+var isCoverageShown = true;
+
+// Colors of the least and the most hit nodes, and of the nodes not executed.
+var coverageColors = ["#fff3b0", "#e0301e"];
+var uncoveredColor = "#e0e0e0";
+
+// Analyses of the current function that are turned on: loops, dominators of
+// the selected node, and the dominator tree view.
+var analysisShown = { loops: false, doms: false, domtree: false };
+
+// The dominators and the loops of a function from the server, and the name of
+// the function. This is only for the disassembly view.
+var cfgAnalysis = null;
+var cfgAnalysisFunc = null;
+
+// The name of the function whose dominator tree is shown.
+var domTreeFunc = null;
+
+// Colors of loop bodies, and of the dominators and the post-dominators of the
+// selected node.
+var loopColors = ["#1f77b4", "#ff7f0e", "#2ca02c", "#d62728", "#9467bd",
+                  "#8c564b", "#e377c2", "#7f7f7f", "#bcbd22", "#17becf"];
+var domColor = "#c6dbef";
+var pdomColor = "#c7e9c0";
+
+// Whether clicks pick the source and the target nodes of paths rather than
+// select nodes.
+var isPathMode = false;
+
+var pathColor = "#e6550d";
+
+// Collapsed regions of each graph, keyed by getCollapseKey. A region has its
+// kind (see regionTitles), the address of its entry node, and the addresses of
+// its nodes.
+var collapsedRegions = {};
+
+// Analyses of the server for collapsing loops and regions, keyed by
+// getCollapseKey. See loadCollapseAnalysis.
+var collapseAnalyses = {};
+var regionTitles = { group: "Group", loop: "Loop", region: "Region" };
+
+var collapsedColor = "#e8e8e8";
+
+// The ROP gadgets of the binary, which are loaded when the ROP panel is opened
+// for the first time. We show at most gadgetLimit gadgets at once.
+var gadgets = null;
+var gadgetLimit = 500;
+
+// The words of the last ROP chain built.
+var ropChain = [];
+
+// The results of the last search. The server returns at most searchHitLimit
+// results (see Search.fs).
+var searchHits = [];
+var searchHitLimit = 1000;
+
+// Placeholders and help of the search types.
+var searchHelp = {
+    string: ["printf", "ASCII string to find in the readable segments."],
+    hex: ["48 8b ?? e8", "Bytes in hex, where ?? matches any byte."],
+    regex: ["^/bin/", "Regex over the printable strings of the binary."]
+};
+
+// Keyboard bindings of the CFG viewer, where keys are the values of
+// KeyboardEvent.key. Bindings without keys are handled elsewhere, and they are
+// only listed in the help. Actions are also listed in the command palette.
+var keyBindings = [
+    { keys: ["ArrowDown", "j"], label: "\u2193 / j",
+      descr: "Move to a successor block",
+      run: function () { moveAlongEdges(true); } },
+    { keys: ["ArrowUp", "k"], label: "\u2191 / k",
+      descr: "Move to a predecessor block",
+      run: function () { moveAlongEdges(false); } },
+    { keys: ["ArrowLeft", "h"], label: "\u2190 / h",
+      descr: "Move to the previous sibling of the last move",
+      run: function () { moveToSibling(-1); } },
+    { keys: ["ArrowRight", "l"], label: "\u2192 / l",
+      descr: "Move to the next sibling of the last move",
+      run: function () { moveToSibling(1); } },
+    { keys: ["Enter"], label: "Enter",
+      descr: "Open the selected function, or expand the collapsed node",
+      run: openSelectedNode },
+    { keys: ["g"], label: "g", descr: "Go to an address or a function",
+      run: function () { openPalette(true); } },
+    { keys: ["+", "="], label: "+", descr: "Zoom in", isAction: true,
+      run: function () { activeViewer.zoomBy(keyZoomRate); } },
+    { keys: ["-"], label: "-", descr: "Zoom out", isAction: true,
+      run: function () { activeViewer.zoomBy(1 / keyZoomRate); } },
+    { keys: ["f"], label: "f", descr: "Fit the graph to the view",
+      isAction: true, run: function () { activeViewer.fitGraph(); } },
+    { keys: [], label: "Ctrl + P", descr: "Command palette" },
+    { keys: [], label: "Alt + \u2190 / \u2192", descr: "Back / Forward" },
+    { keys: ["?"], label: "?", descr: "Show the keyboard shortcuts",
+      run: function () { $("#modalKeys").modal("show"); } }
+];
+
+// The successors (or the predecessors) of the block that the last move along
+// edges started from, and the one selected among them. See moveAlongEdges.
+var keyMoves = null;
+
+// The command palette shows at most paletteLimit items that match the input.
+// In the go-to mode, it takes in an address or a function.
+var paletteItems = [];
+var paletteRows = [];
+var paletteIndex = 0;
+var paletteLimit = 50;
+var isGoToPalette = false;
+
+// The semantics of the instructions from the server, keyed by their addresses.
+// The instruction shown in the inspector, and the ones pinned for comparison.
+var instrInfos = new Map();
+var inspectedInstr = null;
+var pinnedInstrs = [];
+
+// The hovered instruction whose IR is shown as a tooltip after the delay (ms).
+var instrTooltipAddr = null;
+var instrTooltipTimer = null;
+var instrTooltipDelay = 400;
+
+// The overview of the binary, which is loaded when it is shown for the first
+// time. We show at most symbolLimit symbols at once.
+var overview = null;
+var symbolLimit = 500;
+
+// Colors of the blocks in the diff view by their status. Unchanged blocks are
+// white.
+var diffColors = { added: "#c7e9c0", removed: "#fcbba1", changed: "#fff3b0" };
+
+// The minimum similarity of two blocks to match them in the diff view.
+var diffThreshold = 0.5;
+
+// The two sides (old and new) of the diff view, and the matched blocks of them.
+var diffSides = [];
+var diffResult = null;
+
+// The dominators and the post-dominators of the selected node, which are cached
+// to style every node cheaply.
+var domCache = { addr: null, analysis: null, doms: [], pdoms: [] };
+
+// Style properties to inline when exporting a graph as a standalone SVG.
+var exportStyleProps = [
+    "fill", "fill-opacity", "stroke", "stroke-width", "stroke-opacity",
+    "stroke-dasharray", "font-family", "font-size", "font-weight",
+    "text-decoration"
+];
+
+// The margin around an exported graph.
+var exportMargin = 10;
+
+// The @font-face rules with embedded fonts for exported SVGs. This is lazily
+// initialized.
+var exportFontCSS = null;
+
 function initMarker(defs, id)
 {
     defs.append("marker")
@@ -61,22 +343,11 @@ function initMarker(defs, id)
         .attr("d", "M 0,0 m -5,-5 L 5,0 L -5,5 Z");
 }
 
-function initSVG()
+// Markers and filters are defined once in the page, and every viewer shares
+// them. See index.html.
+function initDefs()
 {
-    // Clear up the existing elements.
-    $("#cfg").empty();
-    $("#minimap").empty();
-
-    // Create a top layer for drawing a CFG on the main window.
-    d3.select("svg#cfg").append("g").attr("id", "cfgStage")
-        .attr("transform", "scale (1)");
-
-    // Create the main group for a CFG. This is to easily maintain the
-    // coordinates of the main graph.
-    d3.select("g#cfgStage").append("g").attr("id", "cfgGrp");
-
-    // Several definitions to use to draw a CFG.
-    let defs = d3.select("g#cfgGrp").append("defs");
+    let defs = d3.select("svg#cfgDefs").append("defs");
     initMarker(defs, "cfgJmpEdgeArrow");
     initMarker(defs, "cfgCJmpTrueEdgeArrow");
     initMarker(defs, "cfgCJmpFalseEdgeArrow");
@@ -84,14 +355,27 @@ function initSVG()
     // Add filters.
     defs.append("filter").attr("id", "cfgBlur")
         .append("feGaussianBlur").attr("stdDeviation", 2);
+}
+
+function initSVG(vw)
+{
+    let cfg = d3.select(vw.elm).select("svg.cfg");
+
+    // Clear up the existing elements.
+    cfg.selectAll("*").remove();
+    d3.select(vw.elm).select("svg.minimap").selectAll("*").remove();
+
+    // Create a top layer for drawing a CFG on the main window.
+    cfg.append("g").attr("class", "cfgStage").attr("transform", "scale (1)");
 
-    // First draw an empty background for minimap.
-    d3.select("svg#minimap")
-        .append("rect").attr("width", "100%").attr("height", "100%")
-        .attr("fill", "white");
+    // Create the main group for a CFG. This is to easily maintain the
+    // coordinates of the main graph.
+    let grp = cfg.select("g.cfgStage").append("g").attr("class", "cfgGrp");
 
-    // Create a top layer for drawing a CFG on the minimap.
-    d3.select("svg#minimap").append("g").attr("id", "minimapStage");
+    // Edges are drawn below nodes. Both layers only hold the elements in the
+    // viewport. See renderGraph.
+    grp.append("g").attr("class", "cfgEdgeLayer");
+    grp.append("g").attr("class", "cfgNodeLayer");
 }
 
 function copyToClipboard(str)
@@ -104,13 +388,15 @@ function copyToClipboard(str)
     document.body.removeChild(aux);
 }
 
-function initEvents(cfg)
+// The copy and the export menus work on the graph of the active viewer.
+function initEvents()
 {
     $(function(){
         $("#menuCopyCFG").click(function(e) {
             e.preventDefault();
             let mymodal = $("#codeCopyCFG");
-            mymodal.text(JSON.stringify(cfg, null, " "));
+            let g = activeViewer.graph;
+            mymodal.text(g === null ? "" : JSON.stringify(g, null, " "));
         });
     })
 
@@ -119,6 +405,14 @@ function initEvents(cfg)
             copyToClipboard($("#codeCopyCFG").text());
         });
     })
+
+    $("#btnExport").off("click").click(function () {
+        if (activeViewer.graph === null) return;
+        let format = $("input[name='exportFormat']:checked").val();
+        let onlyHighlighted =
+            $("input[name='exportScope']:checked").val() == "highlighted";
+        exportGraph(activeViewer, format, onlyHighlighted);
+    });
 }
 
 function appendDisasmFragment(txt, cls, fragment, isOpcode)
@@ -137,85 +431,133 @@ function strRepeat(str, num)
     else return str + strRepeat(str, num - 1);
 }
 
-function drawNode(v)
+function appendTargetFragment(txt, cls, target)
+{
+    txt.append("tspan")
+        .text(target).attr("class", cls + " cfgAddrLink")
+        .attr("xml:space", "preserve").attr("dx", "0px")
+        .attr("data-target", target);
+}
+
+// Append an operand while turning its branch targets into links. Intel
+// operands show their targets after a semicolon, e.g., "+0x15 ; 0x40101A" or
+// "+0x15 ; <main>". Other architectures show the targets as immediate values.
+function appendOperandFragment(txt, cls, operand, isBranch)
+{
+    let regex = /(; )?(<[^>]+>|#?0x[0-9A-Fa-f]+)/g;
+    let last = 0;
+    let m;
+    while ((m = regex.exec(operand)) !== null) {
+        // Skip displacements such as "+0x15" or "[rip+0x20]".
+        let prev = operand.charAt(m.index - 1);
+        if (m[1] === undefined && (!isBranch || "+-[*:".indexOf(prev) >= 0))
+            continue;
+        let target = m[2].replace("#", "");
+        let start = m.index + m[0].length - target.length;
+        if (start > last) {
+            let prefix = operand.substring(last, start);
+            appendDisasmFragment(txt, cls, prefix, false);
+        }
+        appendTargetFragment(txt, cls, target);
+        last = start + target.length;
+    }
+    if (last < operand.length)
+        appendDisasmFragment(txt, cls, operand.substring(last), false);
+}
+
+function drawDisasmLine(text, terms)
+{
+    let s = terms[0][0];
+    let tag = terms[0][1];
+    let mnemonic = s + strRepeat(" ", (s.length > 8 ? 0 : 8 - s.length));
+    appendDisasmFragment(text, "cfgDisasmText " + tag, mnemonic, true);
+    if (terms.length > 2) {
+        // The first operand term starts with the opcode.
+        let opcode = terms[1][0].trim().split(" ")[0];
+        let isBranch = branchRegex.test(opcode);
+        for (let j = 1; j < terms.length; j++) {
+            let s = terms[j][0];
+            let tag = terms[j][1];
+            if (j == terms.length - 2) {
+                appendOperandFragment(text, "cfgDisasmText " + tag, s,
+                                      isBranch);
+            } else if (j == terms.length - 1) {
+                if (s.length > 0) {
+                    let comment = " # " + s;
+                    appendDisasmFragment(text, "cfgDisasmComment",
+                                         comment, false);
+                }
+            } else {
+                appendOperandFragment(text, "cfgDisasmText " + tag, s,
+                                      isBranch);
+                appendDisasmFragment(text, "cfgDisasmText", ",", false);
+            }
+        }
+    }
+    // Tag every fragment of this line with the instruction address, which the
+    // server prints at the start of a disassembly line, e.g., "00401000:".
+    // Other lines, such as the function names of a call graph, have none.
+    let m = /^([0-9A-Fa-f]+):$/.exec(s);
+    if (m === null) return;
+    let addr = parseInt(m[1], 16).toString(16);
+    text.selectAll("tspan:not([data-addr])").attr("data-addr", addr);
+}
+
+// A LowUIR statement is a sequence of terms without any separator.
+function drawIRLine(text, terms)
+{
+    for (let j = 0; j < terms.length; j++) {
+        let cls = "cfgDisasmText " + terms[j][1];
+        appendDisasmFragment(text, cls, terms[j][0], j == 0);
+    }
+}
+
+function isIRLine(terms)
+{
+    return terms[0][1] != "Mnemonic";
+}
+
+// Draw the node v in the parent. A node without detail is a box without text,
+// which is for zoomed-out views.
+function drawNode(parent, v, i, detailed)
 {
-    let g = d3.select("g#cfgGrp").append("g");
+    let g = parent.append("g")
+        .attr("class", "cfgNodeGrp").attr("data-node", i)
+        .attr("transform", "translate (" + v.Pos.X + "," + v.Pos.Y + ")");
 
-    let rect = g.append("rect")
+    g.append("rect")
         .attr("class", "cfgNode")
+        .classed("collapsedNode", v.Members !== undefined)
         .attr("fill", "white")
         .attr("stroke", "black")
-        .attr("stroke-width", nodeBorderThickness);
+        .attr("stroke-width", nodeBorderThickness)
+        .attr("width", v.Width).attr("height", v.Height);
 
     // Additional layer for bluring.
-    let rectBlur = g.append("rect")
+    g.append("rect")
         .attr("class", "cfgNodeBlur")
-        .attr("id", v.NodeID)
         .attr("fill", "transparent")
         .attr("stroke", "black")
-        .attr("stroke-width", nodeBorderThickness);
+        .attr("stroke-width", nodeBorderThickness)
+        .attr("width", v.Width).attr("height", v.Height);
+
+    if (!detailed) return g;
 
     let text = g.append("text").attr("font-family", "'Inconsolata', monospace");
 
-    let i, j;
-    for (i = 0; i < v.Terms.length; i++) {
+    for (let i = 0; i < v.Terms.length; i++) {
         let terms = v.Terms[i];
-        let s = terms[0][0];
-        let tag = terms[0][1];
-        let mnemonic = s + strRepeat(" ", (s.length > 8 ? 0 : 8 - s.length));
-        appendDisasmFragment(text, "cfgDisasmText " + tag, mnemonic, true);
-        if (terms.length > 2) {
-            for (j = 1; j < terms.length; j++) {
-                let s = terms[j][0];
-                let tag = terms[j][1];
-                if (j == terms.length - 2) {
-                    appendDisasmFragment(text, "cfgDisasmText " + tag, s, false);
-                } else if (j == terms.length - 1) {
-                    if (s.length > 0) {
-                        let comment = " # " + s;
-                        appendDisasmFragment(text, "cfgDisasmComment", comment, false);
-                    }
-                } else {
-                    appendDisasmFragment(text, "cfgDisasmText " + tag, s, false);
-                    appendDisasmFragment(text, "cfgDisasmText", ",", false);
-                }
-            }
-        }
-    }
-
-    rect.attr("width", v.Width).attr("height", v.Height);
-    rectBlur.attr("width", v.Width).attr("height", v.Height);
-
-    g.attr("transform", "translate (" + v.Pos.X + "," + v.Pos.Y + ")");
-
-    d3.select("g#minimapStage").append("rect")
-        .attr("class", "minimapRects")
-        .attr("rx", "1").attr("ry", "1")
-        .attr("fill", "white").attr("fill-opacity", "0.25")
-        .attr("style", "outline: 1px solid black;")
-        .attr("width", v.Width * minimapRatio)
-        .attr("height", v.Height * minimapRatio)
-        .attr("transform",
-              "translate(" + v.Pos.X * minimapRatio +
-              ", " + v.Pos.Y * minimapRatio + ")");
-}
-
-function drawNodes(g)
-{
-    for (let i = 0; i < g.Nodes.length; i++) {
-        drawNode(g.Nodes[i]);
+        if (terms.length == 0) continue;
+        else if (isIRLine(terms)) drawIRLine(text, terms);
+        else drawDisasmLine(text, terms);
     }
 
-    let r   = document.getElementById("cfgGrp").getBBox(),
-        obj = {
-            width: r.width,
-            height: r.height
-        };
-
-    return obj;
+    return g;
 }
 
-function drawEdge(e)
+// Draw the edge e in the parent. Zoomed-out views do not need the layer for
+// bluring.
+function drawEdge(parent, e, i, detailed)
 {
     let lineFunction = d3.line()
         .x(function (d) { return d.X; })
@@ -223,16 +565,8 @@ function drawEdge(e)
 
     lineFunction.curve(d3.curveMonotoneY);
 
-    // Additional line for bluring.
-    d3.select("g#cfgGrp").insert("path", ":first-child")
-        .attr("class", "cfg" + e.Type + "Blur" + " cfgEdgeBlur")
-        .attr("d", lineFunction(e.Points))
-        .attr("stroke", "transparent")
-        .attr("stroke-width", edgeThickness)
-        .attr("fill", "none");
-
-    let p = d3.select("g#cfgGrp").insert("path", ":first-child")
-        .attr("class", "cfg" + e.Type)
+    let p = parent.append("path")
+        .attr("class", "cfg" + e.Type).attr("data-edge", i)
         .attr("d", lineFunction(e.Points))
         .attr("stroke-width", edgeThickness)
         .attr("fill", "none");
@@ -241,105 +575,396 @@ function drawEdge(e)
 
     p.attr("marker-end", "url(#cfg" + e.Type + "Arrow)");
 
-    let miniLineFunction = d3.line()
-        .x(function (d) { return d.X * minimapRatio; })
-        .y(function (d) { return d.Y * minimapRatio; })
-        .curve(d3.curveLinear);
+    // Additional line for bluring.
+    if (detailed) {
+        parent.append("path")
+            .attr("class", "cfg" + e.Type + "Blur" + " cfgEdgeBlur")
+            .attr("d", lineFunction(e.Points))
+            .attr("stroke", "transparent")
+            .attr("stroke-width", edgeThickness)
+            .attr("fill", "none");
+    }
 
-    let m = d3.select("g#minimapStage").insert("path", ":first-child")
-        .attr("d", miniLineFunction(e.Points))
-        .attr("stroke", "black")
-        .attr("stroke-width", 0.5)
-        .attr("fill", "none");
+    return p;
+}
 
-    if (e.IsBackEdge) m.attr("stroke-dasharray", "2, 2");
+function isBoxOverlapped(a, b)
+{
+    return a.minX <= b.maxX && b.minX <= a.maxX
+        && a.minY <= b.maxY && b.minY <= a.maxY;
 }
 
-function drawEdges(g)
+// Return the area of the graph (in its coordinates) that is shown in the
+// viewport of the viewer (vw) with the transform t, including the margin
+// around the viewport.
+function getVisibleBox(vw, t)
 {
-    for (let i = 0; i < g.Edges.length; i++) {
-        drawEdge(g.Edges[i]);
+    let dim = vw.renderState.dims.cfgVPDim;
+    let margin = renderMargin / t.k;
+    let x = -t.x / t.k - vw.renderState.leftPadding;
+    let y = -t.y / t.k;
+    return {
+        minX: x - margin, maxX: x + dim.width / t.k + margin,
+        minY: y - margin, maxY: y + dim.height / t.k + margin
+    };
+}
+
+// Restore the highlights of a node that is (re)built.
+function decorateNode(vw, elm, i)
+{
+    let defUse = vw.defUse;
+    let word = vw.highlightedWord;
+    elm.select(".cfgNode")
+        .classed("nodeHighlight", vw.highlightedNodes.has(i));
+    if (vw.selectedInstrAddr !== null) {
+        let addr = vw.selectedInstrAddr.toString(16);
+        elm.selectAll("tspan[data-addr='" + addr + "']")
+            .classed("instrHighlight", true);
     }
+    if (word !== null) {
+        elm.selectAll("." + word.cls)
+            .filter(function () { return this.textContent == word.word; })
+            .classed("wordHighlight", true);
+    }
+    if (defUse !== null) {
+        elm.selectAll("tspan[data-addr]").each(function () {
+            let addr = parseInt(this.getAttribute("data-addr"), 16);
+            d3.select(this)
+                .classed("defHighlight", defUse.Defs.indexOf(addr) >= 0)
+                .classed("useHighlight", defUse.Uses.indexOf(addr) >= 0);
+        });
+    }
+}
+
+// Build the nodes and the edges of the graph of the viewer (vw) that are in
+// the viewport with the transform t, and remove the others. Nodes are drawn in
+// detail only when the zoom scale is large enough to read their text.
+function renderGraph(vw, t)
+{
+    let g = vw.graph;
+    let renderState = vw.renderState;
+    let detailed = t.k >= detailScale;
+    let nodeLayer = d3.select(vw.elm).select("g.cfgNodeLayer");
+    let edgeLayer = d3.select(vw.elm).select("g.cfgEdgeLayer");
+    if (detailed != renderState.detailed) {
+        nodeLayer.selectAll("*").remove();
+        edgeLayer.selectAll("*").remove();
+        renderState.nodeElms.clear();
+        renderState.edgeElms.clear();
+        renderState.detailed = detailed;
+    }
+    let box = getVisibleBox(vw, t);
+    renderState.nodeBoxes.forEach(function (nodeBox, i) {
+        let elm = renderState.nodeElms.get(i);
+        if (!isBoxOverlapped(box, nodeBox)) {
+            if (elm === undefined) return;
+            elm.remove();
+            renderState.nodeElms.delete(i);
+        } else if (elm === undefined) {
+            elm = drawNode(nodeLayer, g.Nodes[i], i, detailed);
+            styleNode(vw, elm, g, i);
+            decorateNode(vw, elm, i);
+            renderState.nodeElms.set(i, elm);
+        }
+    });
+    renderState.edgeBoxes.forEach(function (edgeBox, i) {
+        let elm = renderState.edgeElms.get(i);
+        if (!isBoxOverlapped(box, edgeBox)) {
+            if (elm === undefined) return;
+            // Remove the layer for bluring as well.
+            $(elm.node()).next(".cfgEdgeBlur").remove();
+            elm.remove();
+            renderState.edgeElms.delete(i);
+        } else if (elm === undefined) {
+            elm = drawEdge(edgeLayer, g.Edges[i], i, detailed);
+            styleEdge(vw, elm, g, i);
+            renderState.edgeElms.set(i, elm);
+        }
+    });
+}
+
+// Render the graph of the viewer (vw) in the next animation frame. This makes
+// sure that we build the DOM at most once per frame while panning or zooming.
+function scheduleRender(vw)
+{
+    let renderState = vw.renderState;
+    if (renderState.isScheduled) return;
+    renderState.isScheduled = true;
+    window.requestAnimationFrame(function () {
+        renderState.isScheduled = false;
+        // The viewer may have drawn another graph in the meantime.
+        if (vw.renderState === renderState)
+            renderGraph(vw, renderState.transform);
+    });
+}
+
+// Build every node and edge of the graph of the viewer (vw) in detail in a
+// hidden group, e.g., to export the whole graph regardless of the viewport.
+function drawFullGraph(vw)
+{
+    let g = vw.graph;
+    let grp = d3.select(vw.elm).select("g.cfgStage")
+        .append("g").attr("visibility", "hidden");
+    let defs = document.querySelector("svg#cfgDefs > defs");
+    grp.node().appendChild(defs.cloneNode(true));
+    let edgeLayer = grp.append("g");
+    let nodeLayer = grp.append("g");
+    g.Edges.forEach(function (e, i) {
+        styleEdge(vw, drawEdge(edgeLayer, e, i, true), g, i);
+    });
+    g.Nodes.forEach(function (v, i) {
+        let elm = drawNode(nodeLayer, v, i, true);
+        styleNode(vw, elm, g, i);
+        decorateNode(vw, elm, i);
+    });
+    return grp;
 }
 
-function centerAlign(dims, shiftX, reductionRate)
+function centerAlign(vw, reductionRate)
 {
-    let leftPadding = (dims.cfgVPDim.width) / 2 / reductionRate;
+    let leftPadding = vw.dims.cfgVPDim.width / 2 / reductionRate;
 
-    d3.select("g#cfgGrp").attr("transform",
-                               "translate(" + leftPadding  + ", 0)");
+    d3.select(vw.elm).select("g.cfgGrp")
+        .attr("transform", "translate(" + leftPadding  + ", 0)");
 
-    d3.select("g#minimapStage")
-        .attr("transform",
-              "translate (" + shiftX + ", 0) scale (" + reductionRate + ")");
+    vw.renderState.leftPadding = leftPadding;
 }
 
-function setMinimap(dims)
+function setMinimap(vw)
 {
-    let newWidth = dims.minimapVPDim.width;
-    let newHeight = dims.minimapVPDim.height;
+    let newWidth = vw.dims.minimapVPDim.width;
+    let newHeight = vw.dims.minimapVPDim.height;
 
     // set minimap size based on the graph size.
-    d3.select("svg#minimap")
+    d3.select(vw.elm).select("svg.minimap")
         .attr("width", newWidth + "px").attr("height", newHeight + "px");
 
     // set size of the minimap nodes.
     let nodeSize = Math.ceil(Math.log(newWidth / 1000) / Math.log(2));
     if (nodeSize <= 0) nodeSize = 1;
 
-    let nodes = d3.select("g#minimapStage").selectAll(".minimapRects");
-    nodes.attr("style", "outline: " + nodeSize + "px" + " solid black;");
+    vw.renderState.minimapOutline = nodeSize;
+    vw.renderState.shiftX = newWidth / 2;
+}
 
-    return newWidth / 2;
+// Draw the whole graph of the viewer (vw) on its minimap canvas. The minimap
+// shows the graph in the same way as the initial view of the CFG, scaled down
+// by minimapRatio.
+function drawMinimap(vw)
+{
+    let g = vw.graph;
+    let renderState = vw.renderState;
+    let canvas = vw.elm.querySelector("canvas.minimapCanvas");
+    let dim = renderState.dims.minimapVPDim;
+    let dpr = window.devicePixelRatio || 1;
+    canvas.width = dim.width * dpr;
+    canvas.height = dim.height * dpr;
+    canvas.style.width = dim.width + "px";
+    canvas.style.height = dim.height + "px";
+    let ctx = canvas.getContext("2d");
+    ctx.fillStyle = "white";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    let k = renderState.reductionRate * minimapRatio;
+    ctx.setTransform(dpr * k, 0, 0, dpr * k, dpr * renderState.shiftX, 0);
+    g.Edges.forEach(function (e, i) {
+        let style = getOverlayStyle(vw, "edgeStyle", g, i);
+        let width = style.width === undefined ? 1 : style.width;
+        ctx.globalAlpha = style.opacity === undefined ? 1 : style.opacity;
+        ctx.lineWidth = 0.5 * width / minimapRatio;
+        let dash = 2 / minimapRatio;
+        ctx.setLineDash(e.IsBackEdge ? [dash, dash] : []);
+        ctx.strokeStyle = "black";
+        ctx.beginPath();
+        e.Points.forEach(function (p, j) {
+            if (j == 0) ctx.moveTo(p.X, p.Y);
+            else ctx.lineTo(p.X, p.Y);
+        });
+        ctx.stroke();
+    });
+    ctx.setLineDash([]);
+    ctx.lineWidth = renderState.minimapOutline / k;
+    g.Nodes.forEach(function (v, i) {
+        let style = getOverlayStyle(vw, "nodeStyle", g, i);
+        ctx.globalAlpha = 0.5;
+        ctx.fillStyle = style.fill === undefined ? "white" : style.fill;
+        ctx.fillRect(v.Pos.X, v.Pos.Y, v.Width, v.Height);
+        ctx.globalAlpha = 1;
+        ctx.strokeRect(v.Pos.X, v.Pos.Y, v.Width, v.Height);
+    });
 }
 
-function drawMinimapViewPort(dims)
+function drawMinimapViewPort(vw)
 {
-    d3.select("svg#minimap")
+    let dim = vw.dims.minimapVPDim;
+    d3.select(vw.elm).select("svg.minimap")
         .append("rect")
-        .attr("id", "minimapVP")
-        .attr("width", (dims.minimapVPDim.width - 2) + "px")
-        .attr("height", (dims.minimapVPDim.height - 2) + "px")
+        .attr("class", "minimapVP")
+        .attr("width", (dim.width - 2) + "px")
+        .attr("height", (dim.height - 2) + "px")
         .attr("fill", "transparent");
 }
 
-function drawCFG(dims, cfg)
+// Return the address of a disassembly line, or null if the line is not a
+// disassembly line.
+function getLineAddr(terms)
+{
+    if (terms.length > 0 && terms[0][1] == "Mnemonic")
+        return parseInt(terms[0][0], 16);
+    else
+        return null;
+}
+
+// Return the lines of the node v. The lines of a collapsed node are the ones of
+// its members.
+function getNodeLines(v)
+{
+    if (v.Members === undefined) return v.Terms;
+    return [].concat.apply([], v.Members.map(function (m) {
+        return m.Terms;
+    }));
+}
+
+// Return the index of the node that contains the given address, or -1 if there
+// is no such node. Only disassembly nodes have the address of each line.
+function findNodeByAddr(g, addr)
+{
+    for (let i = 0; i < g.Nodes.length; i++) {
+        if (g.Nodes[i].Address == addr) return i;
+    }
+    for (let i = 0; i < g.Nodes.length; i++) {
+        let lines = getNodeLines(g.Nodes[i]);
+        for (let j = 0; j < lines.length; j++) {
+            if (getLineAddr(lines[j]) == addr) return i;
+        }
+    }
+    return -1;
+}
+
+// Merge the styles of the i-th node (or edge) of the graph (g) in the viewer
+// (vw) from every enabled overlay. The kind is either "nodeStyle" or
+// "edgeStyle".
+function getOverlayStyle(vw, kind, g, i)
+{
+    let style = {};
+    overlays.forEach(function (overlay) {
+        if (!overlay.isEnabled(vw)) return;
+        let s = overlay[kind](vw, g, i);
+        if (s !== null) Object.assign(style, s);
+    });
+    return style;
+}
+
+function styleNode(vw, elm, g, i)
+{
+    let style = getOverlayStyle(vw, "nodeStyle", g, i);
+    let fill = style.fill === undefined ? "white" : style.fill;
+    let stroke = style.stroke === undefined ? "black" : style.stroke;
+    elm.select(".cfgNode").attr("fill", fill).attr("stroke", stroke);
+    let blur = elm.select(".cfgNodeBlur");
+    blur.selectAll("title").remove();
+    if (style.title !== undefined) blur.append("title").text(style.title);
+}
+
+function styleEdge(vw, elm, g, i)
+{
+    let style = getOverlayStyle(vw, "edgeStyle", g, i);
+    let width = edgeThickness;
+    if (style.width !== undefined) width *= style.width;
+    elm.attr("stroke-width", width);
+    elm.attr("stroke-opacity",
+             style.opacity === undefined ? null : style.opacity);
+}
+
+// Apply the overlays to the nodes and the edges of the graph of the viewer
+// (vw), both in the CFG and in the minimap. A node style may have fill, stroke
+// and title, and an edge style may have width and opacity.
+function applyOverlays(vw)
+{
+    let g = vw.graph;
+    if (vw.renderState === null) return;
+    vw.renderState.nodeElms.forEach(function (elm, i) {
+        styleNode(vw, elm, g, i);
+    });
+    vw.renderState.edgeElms.forEach(function (elm, i) {
+        styleEdge(vw, elm, g, i);
+    });
+    drawMinimap(vw);
+}
+
+// Apply the overlays in every viewer, e.g., when an overlay is turned on.
+function refreshOverlays()
+{
+    viewers.forEach(applyOverlays);
+}
+
+// Draw the CFG in the viewer (vw). The optional view argument holds the zoom
+// transform and the selected node address to restore after drawing the CFG.
+function drawCFG(vw, cfg, view)
 {
     $("#icon-refresh").addClass("rotating"); // Start the animation.
     // This is to make sure that the rotation animation is running first.
-    setTimeout(function () { drawCFGAux(dims, cfg); }, 5);
+    setTimeout(function () { drawCFGAux(vw, cfg, view); }, 5);
 }
 
-function drawCFGAux(dims, cfg)
+function drawCFGAux(vw, cfg, view)
 {
-    let extraRatio = 0.9, // Give a little bit more space.
-        stageDim = null,
-        shiftX = 0.0,
+    let dims = vw.dims,
+        extraRatio = 0.9, // Give a little bit more space.
+        stageBox = null,
         reductionRate;
 
-    initSVG();
-    initEvents(cfg);
+    vw.baseGraph = cfg;
+    if (hasCollapsedRegions(vw) && canCollapse(vw, cfg))
+        cfg = collapseGraph(cfg, getCollapsedRegions(vw));
 
-    stageDim = drawNodes(cfg);
-    drawEdges(cfg);
+    initSVG(vw);
+
+    stageBox = getGraphBox(cfg.Nodes, []);
 
     reductionRate =
-        Math.min(dims.cfgVPDim.width / stageDim.width,
-                 dims.cfgVPDim.height / stageDim.height) * extraRatio;
+        Math.min(dims.cfgVPDim.width / (stageBox.maxX - stageBox.minX),
+                 dims.cfgVPDim.height / (stageBox.maxY - stageBox.minY))
+        * extraRatio;
 
     // If the entire CFG is smaller than the cfgVP, then simply use the rate 1.
     // In other words, the maximum reductionRate is one.
     if (reductionRate >= 1) reductionRate = 1;
 
-    shiftX = setMinimap(dims);
-    centerAlign(dims, shiftX, reductionRate);
-    drawMinimapViewPort(dims);
-    registerEvents(reductionRate, dims, cfg);
+    vw.graph = cfg;
+    vw.pathQuery = null;
+    vw.highlightedNodes = new Set();
+    vw.selectedInstrAddr = null;
+    vw.highlightedWord = null;
+    vw.defUse = null;
+    if (vw === activeViewer) {
+        updatePathPanel();
+        $("#defUsePanel").hide();
+    }
+    vw.renderState = {
+        dims: dims,
+        reductionRate: reductionRate,
+        transform: d3.zoomIdentity.scale(reductionRate),
+        detailed: null,
+        isScheduled: false,
+        nodeElms: new Map(),
+        edgeElms: new Map(),
+        nodeBoxes: cfg.Nodes.map(function (v) { return getGraphBox([v], []); }),
+        edgeBoxes: cfg.Edges.map(function (e) { return getGraphBox([], [e]); })
+    };
+
+    setMinimap(vw);
+    centerAlign(vw, reductionRate);
+    drawMinimap(vw);
+    drawMinimapViewPort(vw);
+    registerEvents(vw, reductionRate, view);
     $("#icon-refresh").removeClass("rotating"); // Stop the animation.
 }
 
-function registerEvents(reductionRate, dims, g)
+function registerEvents(vw, reductionRate, view)
 {
+    let g = vw.graph;
+    let renderState = vw.renderState;
+    let dims = renderState.dims;
     let zoom = null;
     let translateWidthRatio = null;
     let translateHeightRatio = null;
@@ -349,16 +974,11 @@ function registerEvents(reductionRate, dims, g)
     let transX = 0;
     let transY = 0;
     let transK = 1 / reductionRate;
-    let minimapBound =
-        document.getElementById("minimapStage").getBoundingClientRect();
 
-    let cfg = d3.select("svg#cfg");
-    let cfgStage = d3.select("g#cfgStage");
-    let minimap = d3.select("svg#minimap");
-    let minimapVP = d3.select("rect#minimapVP");
-    let nodes = cfgStage.selectAll(".cfgNodeBlur");
-    let edges = cfgStage.selectAll(".cfgEdgeBlur");
-    let texts = cfgStage.selectAll(".cfgDisasmText");
+    let cfg = d3.select(vw.elm).select("svg.cfg");
+    let cfgStage = cfg.select("g.cfgStage");
+    let minimap = d3.select(vw.elm).select("svg.minimap");
+    let minimapVP = minimap.select("rect.minimapVP");
 
     function getEdgePts(edge) {
         return edge.split(/M|L/)
@@ -366,8 +986,7 @@ function registerEvents(reductionRate, dims, g)
     }
 
     function convertvMapPtToVPCoordinate(dx, dy) {
-        let miniVPBound =
-            document.getElementById("minimapVP").getBoundingClientRect();
+        let miniVPBound = minimapVP.node().getBoundingClientRect();
 
         let widthRatio = minimapRatio / translateWidthRatio;
         let halfWidth = miniVPBound.width / minimapRatio / 2;
@@ -384,8 +1003,7 @@ function registerEvents(reductionRate, dims, g)
     }
 
     function toCenter(dx, dy, accelerationRate) {
-        let miniVPBound =
-            document.getElementById("minimapVP").getBoundingClientRect();
+        let miniVPBound = minimapVP.node().getBoundingClientRect();
 
         let widthRatio = minimapRatio / translateWidthRatio;
         let heightRatio = minimapRatio / translateHeightRatio;
@@ -403,7 +1021,7 @@ function registerEvents(reductionRate, dims, g)
     }
 
     function getMousePos() {
-        let mouse = d3.mouse(document.getElementById("cfgStage"));
+        let mouse = d3.mouse(cfgStage.node());
 
         return { x: mouse[0] * reductionRate, y: mouse[1] * reductionRate }
     }
@@ -417,59 +1035,208 @@ function registerEvents(reductionRate, dims, g)
         return r;
     }
 
-    edges.each(function (d, i) {
-        d3.select(this).on("dblclick", function () {
-            let edge = d3.select(this).attr("d");
-            let edgePts = getEdgePts(edge);
-            let lastPt = getPointFromEdgePts(edgePts, edgePts.length - 1);
-            let vMapLastPt = convertvMapPtToVPCoordinate(lastPt.x, lastPt.y);
-            let mousePt = getMousePos();
+    function moveAlongEdge(edgeElm) {
+        let edge = d3.select(edgeElm).attr("d");
+        let edgePts = getEdgePts(edge);
+        let lastPt = getPointFromEdgePts(edgePts, edgePts.length - 1);
+        let vMapLastPt = convertvMapPtToVPCoordinate(lastPt.x, lastPt.y);
+        let mousePt = getMousePos();
 
-            let acceleration = getAccelerationRate(vMapLastPt, mousePt);
+        let acceleration = getAccelerationRate(vMapLastPt, mousePt);
 
-            // As b2r2.css has .glyphicon { padding-right: 5px; }, which is used
-            // when dims are generated at reloadUI(), 5px plus to vMapPt.x
-            // has to be considered as long as the padding has been maintained.
-            toCenter(vMapLastPt.x + 5, vMapLastPt.y, acceleration);
-        });
-    });
+        // As b2r2.css has .glyphicon { padding-right: 5px; }, which is used
+        // when dims are generated at reloadUI(), 5px plus to vMapPt.x
+        // has to be considered as long as the padding has been maintained.
+        toCenter(vMapLastPt.x + 5, vMapLastPt.y, acceleration);
+    }
 
-    nodes.each(function (d, i) {
-        d3.select(this).on("click", function () {
-            let rect = $(".cfgNode")[i];
-            if (rect.classList.contains("nodeHighlight")) {
-                d3.select(rect).classed("nodeHighlight", false);
-            } else {
-                $(".cfgNode").removeClass("nodeHighlight");
-                d3.select(rect).classed("nodeHighlight", true);
-            }
+    function getNodeCenter(i) {
+        let v = g.Nodes[i];
+        let x = (v.Pos.X + v.Width / 2) * reductionRate;
+        let y = (v.Pos.Y + v.Height / 2) * reductionRate;
+        return convertvMapPtToVPCoordinate(x, y);
+    }
+
+    vw.panToNode = function (i, from) {
+        let pt = getNodeCenter(i);
+        toCenter(pt.x, pt.y, getAccelerationRate(getNodeCenter(from), pt));
+    };
+
+    vw.stepTo = function (i) {
+        let addr = vw.selectedAddr;
+        let from = addr === null ? -1 : findNodeByAddr(g, addr);
+        selectNode(i);
+        vw.panToNode(i, from < 0 ? i : from);
+    };
+
+    vw.zoomBy = function (k) {
+        cfg.transition().duration(keyZoomDuration).call(zoom.scaleBy, k);
+    };
+
+    // The whole graph is shown in the initial scale (see below).
+    vw.fitGraph = function () {
+        cfg.transition()
+            .duration(keyZoomDuration)
+            .call(zoom.transform, d3.zoomIdentity.scale(reductionRate));
+    };
+
+    // Move the view so that the center of the i-th node comes to the center of
+    // the CFG viewport with the zoom scale k.
+    function focusOnNode(i, k, duration) {
+        let v = g.Nodes[i];
+        let leftPadding = dims.cfgVPDim.width / 2 / reductionRate;
+        let cx = v.Pos.X + v.Width / 2 + leftPadding;
+        let cy = v.Pos.Y + v.Height / 2;
+        let x = dims.cfgVPDim.width / 2 - k * cx;
+        let y = dims.cfgVPDim.height / 2 - k * cy;
+
+        cfg.transition()
+            .duration(duration)
+            .call(zoom.transform, d3.zoomIdentity.translate(x, y).scale(k));
+    }
+
+    // Restore the highlights of every node that is drawn, e.g., after the
+    // highlighted word changes. See decorateNode.
+    function decorateAll() {
+        renderState.nodeElms.forEach(function (elm, i) {
+            decorateNode(vw, elm, i);
         });
+    }
+
+    // Select the i-th node, and highlight the instruction at instrAddr if
+    // given. The hex view follows the selection of the active viewer.
+    function selectNode(i, instrAddr) {
+        cfgStage.selectAll(".cfgNode").classed("nodeHighlight", false);
+        cfgStage.selectAll(".instrHighlight").classed("instrHighlight", false);
+        vw.highlightedNodes.clear();
+        vw.selectedInstrAddr = null;
+        vw.selectedAddr = i < 0 ? null : g.Nodes[i].Address;
+        if (i >= 0) {
+            vw.highlightedNodes.add(i);
+            if (instrAddr !== undefined && instrAddr !== null)
+                vw.selectedInstrAddr = instrAddr;
+            let elm = renderState.nodeElms.get(i);
+            if (elm !== undefined) decorateNode(vw, elm, i);
+        }
+        applyOverlays(vw);
+        if (vw !== activeViewer) return;
+        scheduleHashUpdate();
+        if (i >= 0 && !vw.isCallGraph)
+            showHexBlock(vw.selectedAddr, vw.selectedInstrAddr);
+        if (vw.selectedInstrAddr !== null && isInspectorShown())
+            inspectInstr(vw.selectedInstrAddr);
+        highlightDomTreeNode();
+    }
+
+    // Shift + click highlights multiple nodes without selecting them.
+    function clickNode(i) {
+        let highlighted = vw.highlightedNodes.has(i);
+        if (d3.event.shiftKey) {
+            if (highlighted) vw.highlightedNodes.delete(i);
+            else vw.highlightedNodes.add(i);
+            let elm = renderState.nodeElms.get(i);
+            if (elm !== undefined) decorateNode(vw, elm, i);
+        } else if (highlighted) selectNode(-1);
+        else selectNode(i);
+    }
+
+    function clickText(text) {
+        // Remove all highlights for cfgDisasmText
+        cfgStage.selectAll(".wordHighlight").classed("wordHighlight", false);
+        vw.highlightedWord = null;
+        let clsName = d3.select(text).attr("class").split(" ")[1];
+        if (irWordTags.indexOf(clsName) >= 0) {
+            // Highlight the same IR variables (or labels).
+            vw.highlightedWord = { cls: clsName, word: text.textContent };
+            decorateAll();
+        } else if (clsName.startsWith("Operand")
+                   && !vw.isCallGraph && !isOffline()) {
+            let v = g.Nodes[getNodeIndex(text)];
+            let addr = parseInt(d3.select(text).attr("data-addr"), 16);
+            showDefUse(vw, v, addr, clsName);
+        } else if (clsName == "Mnemonic" && !vw.isCallGraph) {
+            // Clicking the address of an instruction selects the instruction,
+            // and shows it in the inspector.
+            let addr = parseInt(d3.select(text).attr("data-addr"), 16);
+            if (!isOffline()) $("#inspectorPanel").show();
+            selectNode(getNodeIndex(text), addr);
+        }
+    }
+
+    function getNodeIndex(elm) {
+        let grp = $(elm).closest(".cfgNodeGrp");
+        return grp.length == 0 ? -1 : parseInt(grp.attr("data-node"));
+    }
+
+    // Nodes and edges are built and removed while panning, so we handle their
+    // events at the stage. Ctrl (or Cmd) + click on a branch target opens the
+    // target in a new tab.
+    cfgStage.on("click", function () {
+        let target = d3.select(d3.event.target);
+        if (target.classed("cfgAddrLink")) {
+            // Do not let the node toggle off the selection made by the jump.
+            d3.event.stopPropagation();
+            followTarget(target.attr("data-target"),
+                         isNewTabEvent(d3.event));
+        } else if (target.classed("cfgNodeBlur")) {
+            let i = getNodeIndex(d3.event.target);
+            if (isPathMode) pickPathNode(vw, i);
+            else clickNode(i);
+        } else if (target.classed("cfgDisasmText")) {
+            clickText(d3.event.target);
+        }
     });
 
-    nodes.each(function (d, i) {
-        d3.select(this).on("dblclick", function () {
-            let id = d3.select(this).attr("id");
-            let x = g.Nodes[Number(id)].Pos.X * reductionRate;
-            let y = g.Nodes[Number(id)].Pos.Y * reductionRate;
-            let vMapPt = convertvMapPtToVPCoordinate(x, y);
-            let halfHeight = d3.select(this).attr("height") / 2 * reductionRate;
+    // Hovering an instruction shows its IR. Moving between the fragments of
+    // the same instruction keeps the tooltip.
+    cfgStage.on("mouseover", function () {
+        let addr = d3.select(d3.event.target).attr("data-addr");
+        if (addr === null || vw.isCallGraph || isOffline()) return;
+        showInstrTooltip(parseInt(addr, 16), d3.event.pageX, d3.event.pageY);
+    });
 
-            toCenter(vMapPt.x + 5, vMapPt.y + halfHeight, 100);
-        });
+    cfgStage.on("mouseout", function () {
+        let to = d3.event.relatedTarget;
+        let addr = d3.select(d3.event.target).attr("data-addr");
+        if (to instanceof Element && to.getAttribute("data-addr") == addr)
+            return;
+        hideInstrTooltip();
+    });
 
+    cfgStage.on("dblclick", function () {
+        let target = d3.select(d3.event.target);
+        if (target.classed("cfgEdgeBlur")) {
+            moveAlongEdge(d3.event.target);
+        } else if (target.classed("cfgNodeBlur")) {
+            let i = getNodeIndex(d3.event.target);
+            let v = g.Nodes[i];
+            if (vw.isCallGraph) {
+                if (!isCallGraphRoot(vw, v))
+                    openFunctionAt(v.Address, isNewTabEvent(d3.event));
+            } else if (v.Members !== undefined) {
+                expandRegion(vw, v.Address);
+            } else {
+                let x = v.Pos.X * reductionRate;
+                let y = v.Pos.Y * reductionRate;
+                let vMapPt = convertvMapPtToVPCoordinate(x, y);
+                let halfHeight = v.Height / 2 * reductionRate;
+                toCenter(vMapPt.x + 5, vMapPt.y + halfHeight, 100);
+            }
+        }
     });
 
-    texts.on("click", function () {
-        // Remove all highlights for cfgDisasmText
-        $(".cfgDisasmText").removeClass("wordHighlight");
-        let clsName = d3.select(this).attr("class").split(" ")[1];
-        // Only highlights with "clsName"
-        // XXX: later we should change false to true
-        texts.filter("." + clsName).classed("wordHighlight", false);
+    cfgStage.on("contextmenu", function () {
+        let i = getNodeIndex(d3.event.target);
+        if (i < 0) return;
+        let addr = d3.select(d3.event.target).attr("data-addr");
+        let lineAddr = addr === null ? null : parseInt(addr, 16);
+        let x = d3.event.pageX, y = d3.event.pageY;
+        if (showContextMenu(vw, i, lineAddr, x, y))
+            d3.event.preventDefault();
     });
 
     function getEventPointFromMinimap(event) {
-        let svgSource = document.getElementById("minimap");
+        let svgSource = minimap.node();
         let viewerPoint = svgSource.createSVGPoint();
 
         viewerPoint.x = event.clientX;
@@ -502,7 +1269,7 @@ function registerEvents(reductionRate, dims, g)
 
     function dragStart() {
         let evt = d3.event.sourceEvent;
-        let vp = document.getElementById("minimapVP").getBoundingClientRect();
+        let vp = minimapVP.node().getBoundingClientRect();
 
         offsetX = evt.clientX - vp.left;
         offsetY = evt.clientY - vp.top;
@@ -528,7 +1295,7 @@ function registerEvents(reductionRate, dims, g)
     }
 
     function dragEnd() {
-        document.getElementById("minimap").style.cursor = "default";
+        minimap.style("cursor", "default");
     }
 
     let dragBehavior = d3.drag()
@@ -545,11 +1312,13 @@ function registerEvents(reductionRate, dims, g)
 
     minimap.call(clickAndDrag);
 
-    document.getElementById("cfg")
-        .addEventListener("mousemove", (function () { /*empty*/ }).bind(this));
-
     function zoomed() {
         cfgStage.attr("transform", d3.event.transform);
+        vw.transform = d3.event.transform;
+        renderState.transform = d3.event.transform;
+        scheduleRender(vw);
+        hideInstrTooltip();
+        if (vw === activeViewer) scheduleHashUpdate();
 
         transX = d3.event.transform.x;
         transY = d3.event.transform.y;
@@ -558,11 +1327,11 @@ function registerEvents(reductionRate, dims, g)
         inverseK = 1 / transK;
         let minimapK = reductionRate * inverseK;
 
-        let viewportBound =
-            document.getElementById("cfgStage").getBoundingClientRect();
-
-        translateWidthRatio = minimapBound.width / viewportBound.width;
-        translateHeightRatio = minimapBound.height / viewportBound.height;
+        // The ratio between the sizes of the graph in the minimap and in the
+        // viewport. The graph is not entirely built in the viewport, so we
+        // compute this from the scales instead of measuring the elements.
+        translateWidthRatio = minimapRatio * reductionRate / transK;
+        translateHeightRatio = translateWidthRatio;
 
         transX = (- transX) * translateWidthRatio;
         transY = (- transY) * translateHeightRatio;
@@ -576,137 +1345,3793 @@ function registerEvents(reductionRate, dims, g)
     zoom = d3.zoom().scaleExtent([reductionRate, 20]).on("zoom", zoomed);
     let transform = d3.zoomIdentity.translate(0, 0).scale(reductionRate);
     cfg.call(zoom).call(zoom.transform, transform).on("dblclick.zoom", null);
+
+    vw.focusOnAddr = function (addr) {
+        let idx = findNodeByAddr(g, addr);
+        if (idx < 0) return false;
+        selectNode(idx, addr);
+        focusOnNode(idx, transK, focusMovementDuration);
+        return true;
+    };
+
+    // When there is no transform to restore, we show the selected node in its
+    // actual size.
+    function restoreView(view) {
+        if (view === undefined) return;
+        let t = view.transform;
+        let k = t === null ? 1 : Math.max(reductionRate, Math.min(20, t.k));
+        let idx = view.addr === null ? -1 : findNodeByAddr(g, view.addr);
+        if (idx >= 0) selectNode(idx, view.addr);
+        if (t !== null) {
+            cfg.call(zoom.transform,
+                     d3.zoomIdentity.translate(t.x, t.y).scale(k));
+        } else if (idx >= 0) {
+            focusOnNode(idx, k, 0);
+        }
+    }
+
+    restoreView(view);
 }
 
-function drawFunctions(funcs)
+// Return whether the click (e) asks to open its target in a new tab, i.e.,
+// Ctrl + click, or Cmd + click on macOS.
+function isNewTabEvent(e)
 {
-    $.each(funcs, function (_, addr) {
-        $("#funcSelector").append($('<option>', {
-            value: addr,
-            text: addr
-        }));
-    });
+    return e.ctrlKey || e.metaKey;
 }
 
-function drawBinInfo(str)
+function findViewer(id)
 {
-    $("#binInfo").text(function(_, _) { return str; });
+    return viewers.find(function (vw) { return vw.id == id; });
 }
 
-function query(name, arguments, callback)
+// Create an empty viewer in the given pane (0 or 1). A graph is loaded into a
+// viewer by loadCFG, loadCallGraph, or drawCFG.
+function createViewer(pane)
 {
-    let req = new XMLHttpRequest();
-    let q = encodeURIComponent(name);
-    let args = encodeURIComponent(arguments);
-    req.onreadystatechange = function () {
-        if (this.readyState == 4 && this.status == 200) {
-            callback(JSON.parse(this.responseText));
-        }
-    }
-    req.open("GET", "/ajax/?q=" + q + "&args=" + args, true);
-    req.send();
+    let elm = d3.select("#viewerPane" + pane + " .viewerBody")
+        .append("div").attr("class", "cfgViewer").style("display", "none");
+    elm.append("svg").attr("class", "cfg box");
+    let minimapDiv = elm.append("div").attr("class", "minimapDiv");
+    minimapDiv.append("canvas").attr("class", "minimapCanvas");
+    minimapDiv.append("svg").attr("class", "minimap box");
+    let vw = {
+        id: ++lastViewerId,
+        pane: pane,
+        elm: elm.node(),
+        title: "",
+        // The name of the function that is displayed, which is null for a
+        // call graph or a graph loaded from a file.
+        func: null,
+        // The graph that is displayed, and the graph as it is loaded, before
+        // collapsing its regions.
+        graph: null,
+        baseGraph: null,
+        isCallGraph: false,
+        // The view mode of the CFG, which is either "disasm" or "ir".
+        mode: "disasm",
+        // The address of the currently selected (highlighted) node, and the
+        // current zoom transform.
+        selectedAddr: null,
+        transform: null,
+        // Indices of the highlighted nodes, the highlighted instruction, and
+        // the highlighted IR word ({ cls, word }). Nodes are rebuilt while
+        // panning, so we keep them here to restore the highlights.
+        highlightedNodes: new Set(),
+        selectedInstrAddr: null,
+        highlightedWord: null,
+        // The state of the CFG renderer, which holds the elements that are
+        // currently built in the viewport. See drawCFGAux.
+        renderState: null,
+        // The def-use chains of the last clicked operand, which the server
+        // computes from the IR CFG (see DefUse.fs).
+        defUse: null,
+        // The source and the target nodes (indices) of the paths, the nodes
+        // and the edges on the paths between them, and the shortest path with
+        // its current step. See findPaths.
+        pathQuery: null,
+        // Center the node that contains the given address, and highlight the
+        // instruction at the address. This is set by registerEvents, and
+        // returns false if there is no such node.
+        focusOnAddr: function (_) { return false; },
+        // Pan the view from the node (index) from to the node i with the
+        // animation of following edges. This is set by registerEvents.
+        panToNode: function (i, from) { },
+        // Select the i-th node, and pan the view to it from the selected node.
+        // The graph is scaled by k, or fit to the view. These are set by
+        // registerEvents for keyboard navigation.
+        stepTo: function (i) { },
+        zoomBy: function (k) { },
+        fitGraph: function () { }
+    };
+    // The zoom and the drag behaviors stop mousedown events, so we activate
+    // the viewer while capturing them.
+    vw.elm.addEventListener("mousedown", function () {
+        activateViewer(vw);
+    }, true);
+    viewers.push(vw);
+    drawViewerTabs(pane);
+    reloadUI();
+    return vw;
 }
 
-function registerRefreshEvents(dims, json)
+// Draw the tabs of the viewers in the pane, followed by a button to open a new
+// tab.
+function drawViewerTabs(pane)
 {
-    $("#btn-refresh").click(function () {
-        drawCFG(dims, json);
+    let tabs = $("#viewerPane" + pane + " .viewerTabs").empty();
+    viewers.forEach(function (vw) {
+        if (vw.pane != pane) return;
+        let title = vw.title.length > 0 ? vw.title : "(empty)";
+        let a = $("<a>", { href: "#", title: title })
+            .append($("<span>", { "class": "close btn-tabclose",
+                                  title: "Close", html: "&times;" }))
+            .append(document.createTextNode(title));
+        $("<li>", { "data-viewer": vw.id })
+            .toggleClass("active", paneViewers[pane] === vw)
+            .append(a).appendTo(tabs);
     });
+    let add = $("<a>", { href: "#", "class": "btn-tabadd", title: "New tab" })
+        .append($("<span>", { "class": "glyphicon glyphicon-plus" }));
+    $("<li>").append(add).appendTo(tabs);
 }
 
-// Offline mode renders a single function only. Inter-function analysis is not
-// supported in offline mode.
-function runOffline(dims)
+function setViewerTitle(vw, title)
 {
-    fileInput = document.getElementById("cfgFile");
-    $("#uiTitle").click(function () { fileInput.click(); });
-    fileInput.addEventListener("change", function () {
-        let file = fileInput.files[0];
-        let reader = new FileReader();
-        reader.onload = function () {
-            let json = JSON.parse(reader.result);
-            drawCFG(dims, json);
-            registerRefreshEvents(dims, json);
-        };
-        try { reader.readAsText(file); }
-        catch (_) { console.log("Error: File open failure."); }
+    vw.title = title;
+    drawViewerTabs(vw.pane);
+    if (vw === activeViewer) $("#uiFuncName").text(title);
+}
+
+// Show the viewer in its pane, hiding the other viewers of the pane.
+function showViewer(vw)
+{
+    paneViewers[vw.pane] = vw;
+    viewers.forEach(function (w) {
+        if (w.pane == vw.pane) $(w.elm).toggle(w === vw);
     });
+    drawViewerTabs(vw.pane);
 }
 
-function isEmpty(obj) {
-    for (var key in obj) {
-        if (obj.hasOwnProperty(key))
-            return false;
+// Make the viewer active. The toolbar and the page-wide panels, e.g., the hex
+// view and the def-use panel, follow the active viewer.
+function activateViewer(vw)
+{
+    let prev = activeViewer;
+    showViewer(vw);
+    $(".viewerPane").removeClass("activePane");
+    $("#viewerPane" + vw.pane).addClass("activePane");
+    if (prev === vw) return;
+    activeViewer = vw;
+    $("#uiFuncName").text(vw.title);
+    setViewMode(vw.mode);
+    renderFuncTable();
+    updatePathPanel();
+    if (vw.defUse !== null) drawDefUsePanel(vw);
+    else $("#defUsePanel").hide();
+    if (isHexViewShown() && vw.selectedAddr !== null && !vw.isCallGraph)
+        showHexBlock(vw.selectedAddr, vw.selectedInstrAddr);
+    loadAnalysis();
+    highlightDomTreeNode();
+    // Switching tabs is not a move in the history.
+    if (prev !== null && !isOffline())
+        history.replaceState(null, "", viewToHash());
+}
+
+// Close the viewer. Closing the last tab of the second pane closes the pane,
+// and closing the last tab of the first pane leaves an empty tab.
+function closeViewer(vw)
+{
+    let siblings = viewers.filter(function (w) { return w.pane == vw.pane; });
+    let idx = siblings.indexOf(vw);
+    viewers.splice(viewers.indexOf(vw), 1);
+    siblings.splice(idx, 1);
+    $(vw.elm).remove();
+    if (siblings.length == 0 && vw.pane == 1) return setSplit(false);
+    let next = siblings.length == 0 ? createViewer(vw.pane)
+        : siblings[Math.min(idx, siblings.length - 1)];
+    if (activeViewer === vw) activateViewer(next);
+    else if (paneViewers[vw.pane] === vw) showViewer(next);
+    else drawViewerTabs(vw.pane);
+}
+
+// Open the given location in a new tab of the active pane.
+function openInNewTab(loc)
+{
+    let vw = createViewer(activeViewer.pane);
+    vw.mode = activeViewer.mode;
+    activateViewer(vw);
+    jumpTo(loc);
+}
+
+// Show or hide the second pane. Splitting shows the graph of the active viewer
+// in the second pane as well, and unsplitting moves the tabs of the second
+// pane to the first one.
+function setSplit(split)
+{
+    if (split == isSplit) return;
+    let from = activeViewer;
+    let to = null;
+    isSplit = split;
+    $("#btn-split").toggleClass("active", split);
+    if (split) {
+        to = createViewer(1);
+    } else {
+        viewers.forEach(function (vw) {
+            if (vw.pane != 1) return;
+            vw.pane = 0;
+            $(vw.elm).appendTo("#viewerPane0 .viewerBody");
+        });
+        paneViewers[1] = null;
+        drawViewerTabs(1);
+        // The active viewer may have been closed.
+        activateViewer(viewers.indexOf(from) >= 0 ? from : paneViewers[0]);
+        reloadUI();
+    }
+    // The panes have new widths, so we draw the graphs again.
+    viewers.forEach(function (vw) { redrawViewer(vw, vw.selectedAddr); });
+    if (to === null) return;
+    let view = { transform: null, addr: from.selectedAddr };
+    to.mode = from.mode;
+    activateViewer(to);
+    if (from.isCallGraph) {
+        loadCallGraph(to, view);
+    } else if (from.func !== null) {
+        loadCFG(to, from.func, view);
+    } else if (from.baseGraph !== null) {
+        setViewerTitle(to, from.title);
+        drawCFG(to, from.baseGraph, view);
     }
-    return true;
 }
 
-// Run in online mode (this is the default).
-function runOnline(dims)
-{
-    $("#funcSelector").change(function () {
-        query("cfg",
-              $("#funcSelector option:selected").text(),
-              function (json) {
-                  if (!isEmpty(json)) {
-                      $("#uiFuncName").text(function (_, _) {
-                          return $("#funcSelector option:selected").text();
-                      });
-                      drawCFG(dims, json);
-                      registerRefreshEvents(dims, json);
-                  }
-              });
+// Draw the loaded graph of the viewer again, e.g., after collapsing regions,
+// and show the node of the given address.
+function redrawViewer(vw, addr)
+{
+    if (vw.baseGraph === null) return;
+    drawCFG(vw, vw.baseGraph, { transform: null, addr: addr });
+}
+
+function registerViewerEvents()
+{
+    $(".viewerTabs").on("click", "a", function (e) {
+        e.preventDefault();
+        let id = $(this).parent().attr("data-viewer");
+        if (id !== undefined) activateViewer(findViewer(id));
     });
-    query("functions", "", drawFunctions);
-    query("bininfo", "", drawBinInfo);
+    $(".viewerTabs").on("click", ".btn-tabclose", function (e) {
+        e.preventDefault();
+        e.stopPropagation();
+        closeViewer(findViewer($(this).closest("li").attr("data-viewer")));
+    });
+    $(".viewerTabs").on("click", ".btn-tabadd", function (e) {
+        e.preventDefault();
+        let pane = parseInt($(this).closest(".viewerPane").attr("data-pane"));
+        let vw = createViewer(pane);
+        vw.mode = activeViewer.mode;
+        activateViewer(vw);
+    });
+    $("#btn-split").click(function () { setSplit(!isSplit); });
 }
 
-function reloadUI()
+function drawFunctions(funcs)
 {
-    let minimapMarginRight =
-        parseInt($("#cfgDiv").css("padding-right"))
-        + parseInt($("#cfgDiv").css("margin-right"));
+    funcRecords = funcs;
+    funcRecords.forEach(function (f) { f.Coverage = funcCoverage[f.Entry]; });
+    filterFunctions();
+}
 
-    let cfgVPDim = {
-        width: document.getElementById("cfgDiv").getBoundingClientRect().width
-            - parseInt($("#cfgDiv").css("padding-right"))
-            - rightMargin,
-        height: $(window).height() - bottomMargin
-            - document.getElementById("uiTitle").getBoundingClientRect().height
-            - document.getElementById("uiHeader").getBoundingClientRect().height
-    };
+// Return a score of the fuzzy match between the pattern and the string, or -1
+// if the string does not contain the pattern as a subsequence. Consecutive
+// matches get higher scores.
+function fuzzyScore(pattern, str)
+{
+    let p = pattern.toLowerCase();
+    let s = str.toLowerCase();
+    let score = 0;
+    let prev = -2;
+    let j = 0;
+    for (let i = 0; i < s.length && j < p.length; i++) {
+        if (s.charAt(i) != p.charAt(j)) continue;
+        score += i == prev + 1 ? 3 : 1;
+        if (i == 0) score += 2;
+        prev = i;
+        j++;
+    }
+    return j == p.length ? score : -1;
+}
 
-    let minimapVPDim = {
-        width: cfgVPDim.width * minimapRatio,
-        height: cfgVPDim.height * minimapRatio
-    };
+// The search box takes in a fuzzy pattern, or a regular expression enclosed
+// with slashes, e.g., "/^sub_4/".
+function getFuncMatcher(search)
+{
+    $("#funcSearchGrp").removeClass("has-error");
+    if (search.startsWith("/")) {
+        let body = search.substring(1).replace(/\/$/, "");
+        try {
+            let regex = new RegExp(body, "i");
+            return function (f) { return regex.test(f.Name) ? 0 : -1; };
+        } catch (_) {
+            $("#funcSearchGrp").addClass("has-error");
+            return function (_) { return -1; };
+        }
+    } else if (search.length > 0) {
+        return function (f) { return fuzzyScore(search, f.Name); };
+    } else {
+        return function (_) { return 0; };
+    }
+}
 
-    $("#minimapDiv").css("margin-right", minimapMarginRight + "px");
-    $("#minimapDiv").css("margin-bottom", bottomMargin + "px");
+function compareFuncs(a, b)
+{
+    let x = a.func[funcSortKey];
+    let y = b.func[funcSortKey];
+    // Functions without coverage are the least covered ones.
+    if (x === undefined) x = -1;
+    if (y === undefined) y = -1;
+    let c;
+    if (typeof x === "string") c = x.localeCompare(y);
+    else c = x - y;
+    return funcSortAsc ? c : -c;
+}
 
-    d3.select("svg#cfg")
-        .attr("width", cfgVPDim.width)
-        .attr("height", cfgVPDim.height);
+function filterFunctions()
+{
+    let matcher = getFuncMatcher($("#funcSearch").val().trim());
+    funcRows = [];
+    funcRecords.forEach(function (f) {
+        let score = matcher(f);
+        if (score >= 0) funcRows.push({ func: f, score: score });
+    });
+    if (funcSortKey === null)
+        funcRows.sort(function (a, b) { return b.score - a.score; });
+    else
+        funcRows.sort(compareFuncs);
+    drawFuncTableHead();
+    $("#funcTableSpacer").css("height", funcRows.length * funcRowHeight);
+    renderFuncTable();
+}
 
-    d3.select("svg#minimap")
-        .attr("width", minimapVPDim.width)
-        .attr("height", minimapVPDim.height);
+function drawFuncTableHead()
+{
+    let head = $("#funcTableHead").empty();
+    funcColumns.forEach(function (col) {
+        let title = col.title;
+        if (col.key == funcSortKey)
+            title += funcSortAsc ? " \u25b2" : " \u25bc";
+        head.append($("<span>", {
+            "class": "funcCol funcCol" + col.key, "data-key": col.key,
+            text: title
+        }));
+    });
+}
+
+function funcCellText(f, key)
+{
+    if (key == "Entry") return f.Entry.toString(16);
+    else if (key == "Coverage")
+        return f.Coverage === undefined ? "" : f.Coverage.toFixed(0) + "%";
+    else return String(f[key]);
+}
+
+// Render only the rows that are visible in the table.
+function renderFuncTable()
+{
+    let table = $("#funcTable");
+    let spacer = $("#funcTableSpacer").empty();
+    let first = Math.floor(table.scrollTop() / funcRowHeight);
+    let count = Math.ceil(table.height() / funcRowHeight) + 1;
+    let last = Math.min(funcRows.length, first + count);
+    for (let i = first; i < last; i++) {
+        let f = funcRows[i].func;
+        let row = $("<div>", { "class": "funcRow", "data-name": f.Name });
+        if (activeViewer !== null && f.Name == activeViewer.func)
+            row.addClass("funcRowSelected");
+        row.css("top", i * funcRowHeight).attr("title", f.Name);
+        funcColumns.forEach(function (col) {
+            row.append($("<span>", {
+                "class": "funcCol funcCol" + col.key,
+                text: funcCellText(f, col.key)
+            }));
+        });
+        spacer.append(row);
+    }
+}
+
+// Scroll the function table to show the function of the given name.
+function revealFunc(name)
+{
+    let idx = -1;
+    for (let i = 0; i < funcRows.length; i++) {
+        if (funcRows[i].func.Name == name) { idx = i; break; }
+    }
+    let table = $("#funcTable");
+    let top = idx * funcRowHeight;
+    let bottom = table.scrollTop() + table.height();
+    if (idx >= 0 && (top < table.scrollTop() || top + funcRowHeight > bottom))
+        table.scrollTop(top - table.height() / 2);
+    renderFuncTable();
+}
+
+function registerFuncTableEvents()
+{
+    $("#funcSearch").on("input", function () { filterFunctions(); });
+    // Pressing Enter with an address (e.g., "0x401000") moves to the function
+    // that contains the address.
+    $("#funcSearch").keydown(function (e) {
+        if (e.which != 13) return;
+        e.preventDefault();
+        let m = /^(0x)?([0-9A-Fa-f]+)$/.exec($(this).val().trim());
+        if (m !== null && (m[1] !== undefined || funcRows.length == 0))
+            jumpTo({ func: null, addr: parseInt(m[2], 16) });
+        else if (funcRows.length > 0)
+            jumpTo({ func: funcRows[0].func.Name, addr: null });
+    });
+    $("#funcTableHead").on("click", ".funcCol", function () {
+        let key = $(this).attr("data-key");
+        if (funcSortKey != key) {
+            funcSortKey = key;
+            funcSortAsc = true;
+        } else if (funcSortAsc) {
+            funcSortAsc = false;
+        } else {
+            funcSortKey = null; // Back to the search score order.
+        }
+        filterFunctions();
+    });
+    $("#funcTable").scroll(function () { renderFuncTable(); });
+    // Ctrl (or Cmd) + click opens the function in a new tab.
+    $("#funcTable").on("click", ".funcRow", function (e) {
+        let loc = { func: $(this).attr("data-name"), addr: null };
+        if (isNewTabEvent(e)) openInNewTab(loc);
+        else jumpTo(loc);
+    });
+}
+
+function drawBinInfo(str)
+{
+    $("#binInfo").text(function(_, _) { return str; });
+}
+
+// Send a query to the server. The optional onError function takes in the error
+// message from the server. The optional body, e.g., an uploaded file, is sent
+// by POST.
+function query(name, arguments, callback, onError, body)
+{
+    if (isOffline()) return queryOffline(name, arguments, callback, onError);
+    queryServer("", name, arguments, callback, onError, body);
+}
+
+// Send a query to the BinExplorer server at the given base URL. The base URL is
+// empty for our own server.
+function queryServer(base, name, arguments, callback, onError, body)
+{
+    let req = new XMLHttpRequest();
+    let q = encodeURIComponent(name);
+    let args = encodeURIComponent(arguments);
+    let url = base + "/ajax/?q=" + q + "&args=" + args;
+    req.onreadystatechange = function () {
+        if (this.readyState != 4) return;
+        if (this.status == 200) callback(JSON.parse(this.responseText));
+        else if (onError !== undefined) onError(this.responseText);
+    }
+    if (body === undefined) {
+        req.open("GET", url, true);
+        req.send();
+    } else {
+        req.open("POST", url, true);
+        req.send(body);
+    }
+}
+
+function registerRefreshEvents()
+{
+    $("#btn-refresh").click(function () {
+        let vw = activeViewer;
+        if (vw.baseGraph !== null) drawCFG(vw, vw.baseGraph);
+    });
+}
+
+// Find the function that contains the given address among the graphs loaded
+// in offline mode.
+function findOfflineFunc(addr)
+{
+    for (let i = 0; i < funcRecords.length; i++) {
+        if (funcRecords[i].Entry == addr) return funcRecords[i].Name;
+    }
+    for (let name in offlineGraphs) {
+        let g = offlineGraphs[name].disasm;
+        if (g !== undefined && findNodeByAddr(g, addr) >= 0) return name;
+    }
+    return null;
+}
+
+// Answer a query with the graphs loaded in offline mode. Queries that need the
+// server fail.
+function queryOffline(name, args, callback, onError)
+{
+    let answer = null;
+    if (name == "cfg" || name == "ircfg") {
+        let graphs = offlineGraphs[args];
+        let mode = name == "cfg" ? "disasm" : "ir";
+        if (graphs !== undefined && graphs[mode] !== undefined)
+            answer = graphs[mode];
+    } else if (name == "callgraph") {
+        answer = offlineCallGraph;
+    } else if (name == "findfunc") {
+        answer = findOfflineFunc(parseInt(args, 16));
+    } else if (name == "functions") {
+        answer = funcRecords;
+    }
+    if (answer !== null) callback(answer);
+    else if (onError !== undefined) onError("Not available in offline mode.");
+}
+
+function readFile(file, isBinary)
+{
+    return new Promise(function (resolve, reject) {
+        let reader = new FileReader();
+        reader.onload = function () { resolve(reader.result); };
+        reader.onerror = function () { reject(reader.error); };
+        if (isBinary) reader.readAsArrayBuffer(file);
+        else reader.readAsText(file);
+    });
+}
+
+function inflateZipEntry(entry)
+{
+    let decoder = new TextDecoder();
+    if (entry.method == 0) // Stored
+        return Promise.resolve({ name: entry.name,
+                                 text: decoder.decode(entry.data) });
+    let stream = new Blob([entry.data]).stream()
+        .pipeThrough(new DecompressionStream("deflate-raw"));
+    return new Response(stream).text().then(function (text) {
+        return { name: entry.name, text: text };
+    });
+}
+
+// Read the entries of a ZIP archive. Only stored and deflated entries are
+// supported. This returns a promise of a list of entries, each of which has a
+// name and its contents (text).
+function readZip(buf)
+{
+    let view = new DataView(buf);
+    let decoder = new TextDecoder();
+    let eocd = -1; // The end of central directory record.
+    for (let i = buf.byteLength - 22; i >= 0; i--) {
+        if (view.getUint32(i, true) == 0x06054b50) { eocd = i; break; }
+    }
+    if (eocd < 0) return Promise.reject("Invalid ZIP archive.");
+    let count = view.getUint16(eocd + 10, true);
+    let offset = view.getUint32(eocd + 16, true);
+    let entries = [];
+    for (let i = 0; i < count; i++) {
+        let method = view.getUint16(offset + 10, true);
+        let size = view.getUint32(offset + 20, true);
+        let nameLen = view.getUint16(offset + 28, true);
+        let extraLen = view.getUint16(offset + 30, true);
+        let commentLen = view.getUint16(offset + 32, true);
+        let local = view.getUint32(offset + 42, true);
+        let name = decoder.decode(new Uint8Array(buf, offset + 46, nameLen));
+        let start = local + 30 + view.getUint16(local + 26, true)
+            + view.getUint16(local + 28, true);
+        if (!name.endsWith("/") && (method == 0 || method == 8)) {
+            entries.push({ name: name, method: method,
+                           data: new Uint8Array(buf, start, size) });
+        }
+        offset += 46 + nameLen + extraLen + commentLen;
+    }
+    return Promise.all(entries.map(inflateZipEntry));
+}
+
+// Build function records from the loaded graphs when the dump does not have
+// the function list (functions.json), which has the entries. The entry of a
+// graph is the node at the top (see getTopNode).
+function getOfflineFuncRecords()
+{
+    let records = [];
+    for (let name in offlineGraphs) {
+        let g = offlineGraphs[name].disasm || offlineGraphs[name].ir;
+        let instrs = 0;
+        g.Nodes.forEach(function (v) { instrs += v.Terms.length; });
+        let entry = g.Nodes.length > 0 ? g.Nodes[getTopNode(g)].Address : 0;
+        records.push({
+            Name: name, Entry: entry,
+            Blocks: g.Nodes.length, Instrs: instrs, Callers: 0, Callees: 0
+        });
+    }
+    return records;
+}
+
+// Return the laid out form of a graph, which is either already laid out, of
+// the input format of --loadjson, or a raw disassembly CFG. This returns null
+// for other graphs.
+function getLaidOutGraph(json)
+{
+    if (json.Nodes !== undefined && json.Edges !== undefined) {
+        if (json.Nodes.length == 0 || json.Nodes[0].Pos !== undefined)
+            return json;
+        return layoutInputGraph(json);
+    }
+    if (json.root !== undefined && json.nodes !== undefined)
+        return layoutDisasmCFG(json);
+    return null;
+}
+
+// Add the entries of a --jsondir dump. This returns false if there is no entry
+// of the dump. A raw disassembly CFG (.disasmCFG) is laid out here only when
+// its visualized graph is not given. The raw IR CFGs (.irCFG) are not used.
+function addDumpEntries(entries)
+{
+    let found = false;
+    let records = null;
+    let raws = {};
+    entries.forEach(function (entry) {
+        let name = entry.name.split("/").pop();
+        let m = /^(.*)\.(disasm|ir)CFG\.vis$/.exec(name);
+        let raw = /^(.*)\.disasmCFG$/.exec(name);
+        if (m !== null) {
+            if (offlineGraphs[m[1]] === undefined) offlineGraphs[m[1]] = {};
+            offlineGraphs[m[1]][m[2]] = JSON.parse(entry.text);
+            found = true;
+        } else if (raw !== null) {
+            raws[raw[1]] = entry.text;
+            found = true;
+        } else if (name == "callgraph.vis") {
+            offlineCallGraph = JSON.parse(entry.text);
+            found = true;
+        } else if (name == "functions.json") {
+            records = JSON.parse(entry.text);
+        }
+    });
+    if (!found) return false;
+    for (let name in raws) {
+        if (offlineGraphs[name] === undefined) offlineGraphs[name] = {};
+        if (offlineGraphs[name].disasm === undefined)
+            offlineGraphs[name].disasm =
+                layoutDisasmCFG(JSON.parse(raws[name]));
+    }
+    drawFunctions(records !== null ? records : getOfflineFuncRecords());
+    $("#viewModeGrp").show();
+    $("#navGrp").show();
+    if (offlineCallGraph !== null) $("#btn-callgraph").show();
+    return true;
+}
+
+// Load files in offline mode. A file is either a graph (JSON), a file of a
+// --jsondir dump, or a ZIP archive of the dump.
+function loadOfflineFiles(files)
+{
+    let reads = Array.from(files).map(function (file) {
+        if (file.name.toLowerCase().endsWith(".zip"))
+            return readFile(file, true).then(readZip);
+        return readFile(file, false).then(function (text) {
+            let name = file.webkitRelativePath || file.name;
+            return [{ name: name, text: text }];
+        });
+    });
+    Promise.all(reads).then(function (lists) {
+        let entries = [].concat.apply([], lists);
+        if (addDumpEntries(entries) || entries.length != 1) return;
+        // A single graph is directly rendered, which is laid out here if it
+        // is not yet.
+        let json = getLaidOutGraph(JSON.parse(entries[0].text));
+        if (json === null) throw "Unknown graph format.";
+        let vw = activeViewer;
+        vw.func = null;
+        vw.isCallGraph = false;
+        vw.selectedAddr = null;
+        setViewerTitle(vw, entries[0].name.replace(/\.[^.]*$/, ""));
+        drawCFG(vw, json);
+    }).catch(function (e) {
+        console.log("Error: File open failure. " + e);
+    });
+}
+
+// Offline mode renders the graphs in local files without the server. Features
+// that need the server, e.g., the hex view and the console, are not available.
+function runOffline()
+{
+    $("#viewModeGrp").hide();
+    $("#btn-callgraph").hide();
+    $("#navGrp").hide();
+    $("#btn-hexview").hide();
+    $("#btn-inspector").hide();
+    $("#btn-console").hide();
+    $("#btn-rop").hide();
+    $("#btn-search").hide();
+    $("#btn-overview").hide();
+    $(".offlineOnly").show();
+    registerViewerEvents();
+    registerRefreshEvents();
+    registerFuncTableEvents();
+    registerViewModeEvents();
+    registerNavEvents();
+    registerCoverageEvents();
+    registerDiffEvents();
+    registerPathEvents();
+    registerKeyEvents();
+    $("#analysisMenu").hide();
+    $("#btn-callgraph").click(function () { loadCallGraph(activeViewer); });
+    let fileInput = document.getElementById("cfgFile");
+    let dirInput = document.getElementById("cfgDir");
+    $("#uiTitle").click(function () { fileInput.click(); });
+    $("#menuOpenFiles").click(function (e) {
+        e.preventDefault();
+        fileInput.click();
+    });
+    $("#menuOpenDir").click(function (e) {
+        e.preventDefault();
+        dirInput.click();
+    });
+    fileInput.addEventListener("change", function () {
+        loadOfflineFiles(fileInput.files);
+    });
+    dirInput.addEventListener("change", function () {
+        loadOfflineFiles(dirInput.files);
+    });
+}
+
+function isEmpty(obj) {
+    for (var key in obj) {
+        if (obj.hasOwnProperty(key))
+            return false;
+    }
+    return true;
+}
+
+function cfgQueryName(mode)
+{
+    return mode == "ir" ? "ircfg" : "cfg";
+}
+
+// Load the CFG of the function (name) into the viewer (vw).
+function loadCFG(vw, name, view, callback)
+{
+    query(cfgQueryName(vw.mode), name, function (json) {
+        if (!isEmpty(json)) {
+            vw.isCallGraph = false;
+            vw.func = name;
+            vw.selectedAddr = null;
+            setViewerTitle(vw, name);
+            drawCFG(vw, json, view);
+            loadCollapseAnalysis(vw);
+            if (vw === activeViewer) {
+                revealFunc(name);
+                loadAnalysis();
+                updateHash();
+            }
+            if (callback !== undefined) callback();
+        }
+    });
+}
+
+function loadCallGraph(vw, view)
+{
+    query("callgraph", "", function (json) {
+        if (!isEmpty(json)) {
+            vw.isCallGraph = true;
+            vw.func = null;
+            vw.selectedAddr = null;
+            setViewerTitle(vw, "Call Graph");
+            drawCFG(vw, json, view);
+            if (vw === activeViewer) {
+                renderFuncTable();
+                updateHash();
+            }
+        }
+    });
+}
+
+// Move the active viewer to the given location. When the function name of the
+// location is null, we move to the function that contains the address. The
+// callback function takes in the resolved location.
+function goTo(loc, callback)
+{
+    let vw = activeViewer;
+    if (loc.func === null) {
+        if (!vw.isCallGraph && vw.focusOnAddr(loc.addr)) {
+            callback({ func: vw.func, addr: loc.addr });
+        } else {
+            query("findfunc", loc.addr.toString(16), function (name) {
+                goTo({ func: name, addr: loc.addr }, callback);
+            });
+        }
+    } else if (loc.func == vw.func && !vw.isCallGraph) {
+        if (loc.addr !== null) vw.focusOnAddr(loc.addr);
+        callback(loc);
+    } else {
+        loadCFG(vw, loc.func, { transform: null, addr: loc.addr },
+                function () { callback(loc); });
+    }
+}
+
+function currentLocation()
+{
+    return { func: activeViewer.func, addr: activeViewer.selectedAddr };
+}
+
+function updateNavButtons()
+{
+    $("#btn-back").prop("disabled", navIndex <= 0);
+    $("#btn-forward").prop("disabled", navIndex >= navStack.length - 1);
+}
+
+// Move to the given location, and record the jump in the navigation history.
+function jumpTo(loc)
+{
+    let from = currentLocation();
+    goTo(loc, function (to) {
+        navStack = navStack.slice(0, navIndex + 1);
+        if (from.func !== null) {
+            if (navIndex >= 0) navStack[navIndex] = from;
+            else navStack.push(from);
+        }
+        navStack.push(to);
+        navIndex = navStack.length - 1;
+        updateNavButtons();
+        updateHash(true);
+    });
+}
+
+function navigate(delta)
+{
+    let idx = navIndex + delta;
+    if (idx < 0 || idx >= navStack.length) return;
+    if (activeViewer.func !== null) navStack[navIndex] = currentLocation();
+    navIndex = idx;
+    goTo(navStack[idx], function (_) { updateNavButtons(); });
+}
+
+function registerNavEvents()
+{
+    $("#btn-back").click(function () { navigate(-1); });
+    $("#btn-forward").click(function () { navigate(1); });
+    $(document).keydown(function (e) {
+        if (!e.altKey) return;
+        if (e.which == 37) { // Alt + Left
+            e.preventDefault();
+            navigate(-1);
+        } else if (e.which == 39) { // Alt + Right
+            e.preventDefault();
+            navigate(1);
+        }
+    });
+    updateNavButtons();
+}
+
+// Follow a branch target, which is either an address (e.g., "0x401000") or a
+// function name (e.g., "<main>"), in the active viewer or in a new tab.
+function followTarget(target, isNewTab)
+{
+    let loc = { func: null, addr: null };
+    if (target.charAt(0) == "<")
+        loc.func = target.substring(1, target.length - 1);
+    else
+        loc.addr = parseInt(target, 16);
+    if (isNewTab) openInNewTab(loc);
+    else jumpTo(loc);
+}
+
+// The root node of a call graph is not a function, so it has nothing to open or
+// annotate.
+function isCallGraphRoot(vw, v)
+{
+    return vw.isCallGraph && v.Address == callGraphRoot;
+}
+
+// Open the CFG of the function that contains the given address.
+function openFunctionAt(addr, isNewTab)
+{
+    let loc = { func: null, addr: addr };
+    if (isNewTab) openInNewTab(loc);
+    else jumpTo(loc);
+}
+
+function isHexViewShown()
+{
+    return $("#hexPanel").is(":visible");
+}
+
+// Return the range of the instruction that covers the given address in the
+// hex view, or null if there is no such instruction.
+function findHexInstr(bounds, addr)
+{
+    for (let i = 0; i < bounds.length - 1; i++) {
+        if (bounds[i] <= addr && addr < bounds[i + 1])
+            return { start: bounds[i], end: bounds[i + 1] };
+    }
+    return null;
+}
+
+function parseBounds(bounds)
+{
+    return bounds.map(function (addr) { return parseInt(addr, 16); });
+}
+
+// Each line is in the format of the hexdump command, e.g.,
+// "0000000000401000: 55 48 89 E5 ... | UH..".
+function drawHexLines(lines)
+{
+    let body = $("#hexBody").empty();
+    $.each(lines, function (_, line) {
+        let idx = line.indexOf(": ");
+        let bar = line.indexOf(" | ");
+        if (idx < 0 || bar < 0) {
+            body.append($("<div>", { "class": "hexRow", text: line }));
+            return;
+        }
+        let addr = parseInt(line.substring(0, idx), 16);
+        let bytes = line.substring(idx + 2, bar).trim().split(/ +/);
+        let ascii = line.substring(bar + 3);
+        let row = $("<div>", { "class": "hexRow" });
+        let hex = $("<span>", { "class": "hexBytes" });
+        let chars = $("<span>", { "class": "hexChars" });
+        let addrText = line.substring(0, idx);
+        row.append($("<span>", { "class": "hexAddr", text: addrText }));
+        for (let i = 0; i < bytes.length; i++) {
+            let a = addr + i;
+            if (i == 8) hex.append(" ");
+            hex.append(" ").append($("<span>", {
+                "class": "hexByte", "data-addr": a, text: bytes[i]
+            }));
+            chars.append($("<span>", {
+                "class": "hexByte", "data-addr": a, text: ascii.charAt(i)
+            }));
+        }
+        body.append(row.append(hex).append(" | ").append(chars));
+    });
+}
+
+// Highlight the bytes of the current block and instruction, and scroll to the
+// block if needed.
+function highlightHexBytes(scroll)
+{
+    if (hexBounds === null) return;
+    let start = hexBounds[0];
+    let end = hexBounds[hexBounds.length - 1];
+    let instr =
+        hexInstrAddr === null ? null : findHexInstr(hexBounds, hexInstrAddr);
+    $("#hexBody .hexByte").each(function () {
+        let addr = parseInt($(this).attr("data-addr"));
+        $(this).toggleClass("hexBlock", start <= addr && addr < end);
+        $(this).toggleClass("hexInstr", instr !== null
+                            && instr.start <= addr && addr < instr.end);
+    });
+    let first = $("#hexBody .hexBlock").first();
+    if (scroll && first.length > 0) {
+        let body = $("#hexBody");
+        body.scrollTop(body.scrollTop() + first.position().top
+                       - body.height() / 4);
+    }
+}
+
+// Dump the bytes from base (inclusive) to last (exclusive). If it fails, we
+// retry with the fallback range.
+function loadHexDump(base, last, fallback)
+{
+    let args = base.toString(16) + " " + (last - base);
+    query("hexdump", args, function (lines) {
+        if (lines.length > 0 && lines[0].startsWith("[*]")
+            && fallback !== undefined) {
+            loadHexDump(fallback.base, fallback.last);
+        } else {
+            drawHexLines(lines);
+            highlightHexBytes(true);
+        }
+    });
+}
+
+// Show the bytes of the block that contains the given address in the hex view.
+// The instruction at instrAddr (if not null) is highlighted as well.
+function showHexBlock(addr, instrAddr)
+{
+    if (!isHexViewShown()) return;
+    hexInstrAddr = instrAddr;
+    if (hexBounds !== null && hexBounds[0] == addr) {
+        highlightHexBytes(false);
+        return;
+    }
+    query("bbl", addr.toString(16), function (bounds) {
+        hexBounds = parseBounds(bounds);
+        let start = hexBounds[0];
+        let end = hexBounds[hexBounds.length - 1];
+        let base = start - start % 16;
+        let last = end + (16 - end % 16) % 16;
+        // The context bytes may not be readable.
+        loadHexDump(Math.max(0, base - hexContext), last + hexContext,
+                    { base: base, last: last });
+    });
+}
+
+function registerHexViewEvents()
+{
+    $("#btn-hexview").click(function () {
+        $("#hexPanel").toggle();
+        hexBounds = null;
+        if (isHexViewShown() && activeViewer.selectedAddr !== null)
+            showHexBlock(activeViewer.selectedAddr, null);
+    });
+    // Clicking a byte moves to the instruction that covers the byte.
+    $("#hexBody").on("click", ".hexByte", function () {
+        let addr = parseInt($(this).attr("data-addr"));
+        query("bbl", addr.toString(16), function (bounds) {
+            let instr = findHexInstr(parseBounds(bounds), addr);
+            if (instr !== null) jumpTo({ func: null, addr: instr.start });
+        });
+    });
+}
+
+// Copy the computed styles of the src element (and its descendants) to the
+// style attribute of the dst element, which is a clone of src.
+function inlineStyles(src, dst)
+{
+    let style = window.getComputedStyle(src);
+    let css = exportStyleProps.map(function (p) {
+        return p + ": " + style.getPropertyValue(p);
+    });
+    dst.setAttribute("style", css.join("; "));
+    for (let i = 0; i < src.children.length; i++)
+        inlineStyles(src.children[i], dst.children[i]);
+}
+
+function getHighlightedAddrs(vw)
+{
+    let addrs = [];
+    vw.highlightedNodes.forEach(function (i) {
+        addrs.push(vw.graph.Nodes[i].Address);
+    });
+    return addrs;
+}
+
+function isExportedEdge(e, addrs)
+{
+    return addrs.indexOf(e.From) >= 0 && addrs.indexOf(e.To) >= 0;
+}
+
+// Compute the bounding box of the given nodes and edges.
+function getGraphBox(nodes, edges)
+{
+    let box = { minX: Infinity, minY: Infinity, maxX: -Infinity,
+                maxY: -Infinity };
+    function addPoint(x, y) {
+        box.minX = Math.min(box.minX, x);
+        box.minY = Math.min(box.minY, y);
+        box.maxX = Math.max(box.maxX, x);
+        box.maxY = Math.max(box.maxY, y);
+    }
+    nodes.forEach(function (v) {
+        addPoint(v.Pos.X, v.Pos.Y);
+        addPoint(v.Pos.X + v.Width, v.Pos.Y + v.Height);
+    });
+    edges.forEach(function (e) {
+        e.Points.forEach(function (p) { addPoint(p.X, p.Y); });
+    });
+    return box;
+}
+
+// Build a standalone SVG element of the graph of the viewer (vw). Styles are
+// inlined, and the interaction layers are removed.
+function buildExportSVG(vw, onlyHighlighted, fontCSS)
+{
+    let g = vw.graph;
+    // Only the nodes in the viewport are built, so we build the whole graph.
+    let src = drawFullGraph(vw).node();
+    let grp = src.cloneNode(true);
+    inlineStyles(src, grp);
+    src.remove();
+    grp.removeAttribute("visibility");
+    $(grp).find(".cfgNodeBlur, .cfgEdgeBlur").remove();
+    let nodes = g.Nodes;
+    let edges = g.Edges;
+    if (onlyHighlighted) {
+        let addrs = getHighlightedAddrs(vw);
+        nodes = nodes.filter(function (v) {
+            return addrs.indexOf(v.Address) >= 0;
+        });
+        edges = edges.filter(function (e) { return isExportedEdge(e, addrs); });
+        $(grp).find("[data-node]").each(function () {
+            let v = g.Nodes[parseInt($(this).attr("data-node"))];
+            if (addrs.indexOf(v.Address) < 0) $(this).remove();
+        });
+        $(grp).find("[data-edge]").each(function () {
+            let e = g.Edges[parseInt($(this).attr("data-edge"))];
+            if (!isExportedEdge(e, addrs)) $(this).remove();
+        });
+    }
+    let box = getGraphBox(nodes, edges);
+    let width = box.maxX - box.minX + exportMargin * 2;
+    let height = box.maxY - box.minY + exportMargin * 2;
+    grp.setAttribute("transform", "translate(" + (exportMargin - box.minX)
+                     + "," + (exportMargin - box.minY) + ")");
+    let ns = "http://www.w3.org/2000/svg";
+    let svg = document.createElementNS(ns, "svg");
+    svg.setAttribute("xmlns", ns);
+    svg.setAttribute("width", width);
+    svg.setAttribute("height", height);
+    svg.setAttribute("viewBox", "0 0 " + width + " " + height);
+    let style = document.createElementNS(ns, "style");
+    style.textContent = fontCSS;
+    svg.appendChild(style);
+    let bg = document.createElementNS(ns, "rect");
+    bg.setAttribute("width", "100%");
+    bg.setAttribute("height", "100%");
+    bg.setAttribute("fill", "white");
+    svg.appendChild(bg);
+    svg.appendChild(grp);
+    return { svg: svg, width: width, height: height };
+}
+
+function arrayBufferToBase64(buf)
+{
+    let bytes = new Uint8Array(buf);
+    let str = "";
+    for (let i = 0; i < bytes.length; i++)
+        str += String.fromCharCode(bytes[i]);
+    return btoa(str);
+}
+
+// Load the fonts as @font-face rules with data URLs. Fonts that cannot be
+// loaded (e.g., in offline mode) are ignored.
+function loadExportFonts(callback)
+{
+    if (exportFontCSS !== null) return callback(exportFontCSS);
+    let fonts = [
+        { file: "Inconsolata-Regular.ttf", weight: "normal" },
+        { file: "Inconsolata-Bold.ttf", weight: "bold" }
+    ];
+    let rules = [];
+    let remaining = fonts.length;
+    function done() {
+        if (--remaining > 0) return;
+        exportFontCSS = rules.join("\n");
+        callback(exportFontCSS);
+    }
+    fonts.forEach(function (font) {
+        let req = new XMLHttpRequest();
+        req.responseType = "arraybuffer";
+        req.onload = function () {
+            if (this.status == 200 || (this.status == 0 && this.response)) {
+                rules.push("@font-face { font-family: 'Inconsolata'; "
+                    + "font-weight: " + font.weight + "; src: url("
+                    + "data:font/ttf;base64,"
+                    + arrayBufferToBase64(this.response) + "); }");
+            }
+            done();
+        };
+        req.onerror = done;
+        try {
+            req.open("GET", "fonts/" + font.file, true);
+            req.send();
+        } catch (_) { done(); }
+    });
+}
+
+function quoteDOTID(id)
+{
+    if (/^[A-Za-z_][A-Za-z0-9_]*$/.test(id)) return id;
+    else return "\"" + id.replace(/"/g, "\\\"") + "\"";
+}
+
+function addrToDOTID(addr)
+{
+    return "\"" + addr.toString(16).toUpperCase() + "\"";
+}
+
+// Build a Graphviz DOT string in the same format as BinEssence.ShowDisasmDOT.
+// Nodes without any edge are listed as well. This returns null if the graph
+// does not have edge endpoints, e.g., when it is loaded from an old JSON file.
+function buildDOT(vw, name, onlyHighlighted)
+{
+    let g = vw.graph;
+    let addrs = g.Nodes.map(function (v) { return v.Address; });
+    if (onlyHighlighted) addrs = getHighlightedAddrs(vw);
+    let lines = [];
+    let connected = [];
+    for (let i = 0; i < g.Edges.length; i++) {
+        let e = g.Edges[i];
+        if (e.From === undefined || e.To === undefined) return null;
+        if (!isExportedEdge(e, addrs)) continue;
+        lines.push(addrToDOTID(e.From) + " -> " + addrToDOTID(e.To)
+                   + " [label=\"\"];");
+        connected.push(e.From, e.To);
+    }
+    addrs.forEach(function (addr) {
+        if (connected.indexOf(addr) < 0) lines.push(addrToDOTID(addr) + ";");
+    });
+    return "digraph " + quoteDOTID(name) + " {\n" + lines.join("\n")
+        + (lines.length > 0 ? "\n" : "") + "}\n";
+}
+
+function download(fileName, url)
+{
+    let a = document.createElement("a");
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+}
+
+function getExportName(vw)
+{
+    return vw.title.length > 0 ? vw.title : "cfg";
+}
+
+function exportGraph(vw, format, onlyHighlighted)
+{
+    let name = getExportName(vw);
+    if (onlyHighlighted && getHighlightedAddrs(vw).length == 0) {
+        alert("There is no highlighted node to export.");
+        return;
+    }
+    if (format == "dot") {
+        let dot = buildDOT(vw, name, onlyHighlighted);
+        if (dot === null) {
+            alert("This graph does not have edge information for DOT.");
+            return;
+        }
+        let blob = new Blob([dot], { type: "text/vnd.graphviz" });
+        download(name + ".dot", URL.createObjectURL(blob));
+        return;
+    }
+    loadExportFonts(function (fontCSS) {
+        let out = buildExportSVG(vw, onlyHighlighted, fontCSS);
+        let str = new XMLSerializer().serializeToString(out.svg);
+        if (format == "svg") {
+            let blob = new Blob([str], { type: "image/svg+xml" });
+            download(name + ".svg", URL.createObjectURL(blob));
+            return;
+        }
+        let url = "data:image/svg+xml;charset=utf-8," + encodeURIComponent(str);
+        let scale = parseFloat($("#exportScale").val());
+        if (!(scale > 0)) scale = 1;
+        let img = new Image();
+        img.onload = function () {
+            let canvas = document.createElement("canvas");
+            canvas.width = Math.ceil(out.width * scale);
+            canvas.height = Math.ceil(out.height * scale);
+            let ctx = canvas.getContext("2d");
+            ctx.scale(scale, scale);
+            ctx.drawImage(img, 0, 0);
+            download(name + ".png", canvas.toDataURL("image/png"));
+        };
+        img.src = url;
+    });
+}
+
+function isCoverageEnabled()
+{
+    return isCoverageShown && traceHits !== null;
+}
+
+// Return the hit count of the node v, which is the maximum hit count of its
+// lines. A node without line addresses, e.g., an IR node or a call graph node,
+// is hit as many times as its address.
+function getNodeHits(v)
+{
+    let hits = traceHits.get(v.Address) || 0;
+    getNodeLines(v).forEach(function (terms) {
+        let addr = getLineAddr(terms);
+        if (addr !== null) hits = Math.max(hits, traceHits.get(addr) || 0);
+    });
+    return hits;
+}
+
+// The color of a hit count in the log scale.
+function coverageColor(hits)
+{
+    let t = traceMaxHits > 1 ? Math.log(hits) / Math.log(traceMaxHits) : 1;
+    return d3.interpolateRgb(coverageColors[0], coverageColors[1])(t);
+}
+
+function coverageNodeStyle(vw, g, i)
+{
+    let hits = getNodeHits(g.Nodes[i]);
+    if (hits == 0) return { fill: uncoveredColor, title: "Not executed" };
+    else return { fill: coverageColor(hits), title: hits + " hit(s)" };
+}
+
+// A trace does not record the edges, so we consider an edge as taken when both
+// of its ends are executed.
+function coverageEdgeStyle(vw, g, i)
+{
+    let e = g.Edges[i];
+    if (e.From === undefined || e.To === undefined) return null;
+    else if (traceHits.has(e.From) && traceHits.has(e.To))
+        return { width: 2 };
+    else
+        return { opacity: 0.3 };
+}
+
+// Parse a trace in offline mode. The format is the same as the one the server
+// takes in: an address (in hex) optionally followed by its hit count per line.
+function parseTrace(text)
+{
+    let hits = new Map();
+    text.split("\n").forEach(function (line) {
+        line = line.trim();
+        if (line.length == 0 || line.startsWith("#")) return;
+        let words = line.split(/[\s,:]+/);
+        let addr = parseInt(words[0], 16);
+        let count = words.length > 1 ? parseInt(words[1], 10) : 1;
+        if (words.length > 2 || isNaN(addr) || isNaN(count)) return;
+        hits.set(addr, (hits.get(addr) || 0) + count);
+    });
+    return hits;
+}
+
+// Compute the coverage from the graphs loaded in offline mode. The result has
+// the same form as the one from the server.
+function getOfflineCoverage(hits)
+{
+    let funcs = [];
+    funcRecords.forEach(function (f) {
+        let graphs = offlineGraphs[f.Name];
+        if (graphs === undefined || graphs.disasm === undefined) return;
+        let covered = 0, total = 0;
+        graphs.disasm.Nodes.forEach(function (v) {
+            v.Terms.forEach(function (terms) {
+                let addr = getLineAddr(terms);
+                if (addr === null) return;
+                if (hits.has(addr)) covered++;
+                total++;
+            });
+        });
+        funcs.push({ Entry: f.Entry, Covered: covered, Total: total });
+    });
+    return {
+        Addrs: Array.from(hits.keys()),
+        Counts: Array.from(hits.values()),
+        Funcs: funcs
+    };
+}
+
+function setCoverage(cov)
+{
+    traceHits = new Map();
+    traceMaxHits = 1;
+    cov.Addrs.forEach(function (addr, i) {
+        traceHits.set(addr, cov.Counts[i]);
+        traceMaxHits = Math.max(traceMaxHits, cov.Counts[i]);
+    });
+    funcCoverage = {};
+    cov.Funcs.forEach(function (f) {
+        funcCoverage[f.Entry] = f.Total == 0 ? 0 : f.Covered * 100 / f.Total;
+    });
+    isCoverageShown = true;
+    $("#btn-coverage").show();
+    drawFunctions(funcRecords);
+    showCoverage();
+}
+
+function showCoverage()
+{
+    $("#btn-coverage").toggleClass("active", isCoverageShown);
+    $("#coverageMax").text(traceMaxHits);
+    $("#coverageNone").css("background-color", uncoveredColor);
+    $("#coverageGradient").css("background", "linear-gradient(to right, "
+                               + coverageColors.join(", ") + ")");
+    $("#coverageLegend").toggle(isCoverageEnabled());
+    refreshOverlays();
+}
+
+function loadTrace(file)
+{
+    readFile(file, false).then(function (text) {
+        if (isOffline()) setCoverage(getOfflineCoverage(parseTrace(text)));
+        else query("trace", "", setCoverage, alert, text);
+    }).catch(function (e) {
+        console.log("Error: File open failure. " + e);
+    });
+}
+
+function registerCoverageEvents()
+{
+    let traceInput = document.getElementById("traceFile");
+    $("#menuLoadTrace").click(function (e) {
+        e.preventDefault();
+        traceInput.click();
+    });
+    traceInput.addEventListener("change", function () {
+        if (traceInput.files.length > 0) loadTrace(traceInput.files[0]);
+        traceInput.value = "";
+    });
+    $("#btn-coverage").click(function () {
+        isCoverageShown = !isCoverageShown;
+        showCoverage();
+    });
+}
+
+// Loop and dominator overlays are only for the disassembly view of a function.
+// The analyses are loaded for the function of the active viewer, and other
+// viewers of the same function show them as well.
+function isAnalysisReady(vw)
+{
+    return cfgAnalysis !== null && cfgAnalysisFunc == vw.func
+        && !vw.isCallGraph && vw.mode == "disasm";
+}
+
+function isLoopOverlayEnabled(vw)
+{
+    return analysisShown.loops && isAnalysisReady(vw);
+}
+
+function isDomOverlayEnabled(vw)
+{
+    return analysisShown.doms && isAnalysisReady(vw)
+        && vw.selectedAddr !== null;
+}
+
+// A node is colored by its innermost loop. See loadAnalysis.
+function loopNodeStyle(vw, g, i)
+{
+    let addr = g.Nodes[i].Address;
+    if (!cfgAnalysis.InnerLoops.has(addr)) return null;
+    let idx = cfgAnalysis.InnerLoops.get(addr);
+    let loop = cfgAnalysis.Loops[idx];
+    let color = loopColors[idx % loopColors.length];
+    let style = { fill: d3.interpolateRgb("white", color)(0.3) };
+    if (loop.Header == addr) {
+        style.stroke = color;
+        style.title = "Loop header (" + loop.Body.length + " blocks)";
+    }
+    return style;
+}
+
+// Return the list of the dominators of the given address by following the
+// immediate dominators in the list of DomEdges.
+function getDominators(domEdges, addr)
+{
+    let idoms = new Map();
+    domEdges.forEach(function (e) { idoms.set(e.Node, e.Dom); });
+    let doms = [];
+    while (idoms.has(addr) && doms.indexOf(idoms.get(addr)) < 0) {
+        addr = idoms.get(addr);
+        doms.push(addr);
+    }
+    return doms;
+}
+
+function domNodeStyle(vw, g, i)
+{
+    let addr = g.Nodes[i].Address;
+    let sel = vw.selectedAddr;
+    if (domCache.addr != sel || domCache.analysis != cfgAnalysis) {
+        domCache.addr = sel;
+        domCache.analysis = cfgAnalysis;
+        domCache.doms = getDominators(cfgAnalysis.IDoms, sel);
+        domCache.pdoms = getDominators(cfgAnalysis.IPDoms, sel);
+    }
+    if (domCache.doms.indexOf(addr) >= 0)
+        return { fill: domColor, title: "Dominates the selected node" };
+    else if (domCache.pdoms.indexOf(addr) >= 0)
+        return { fill: pdomColor, title: "Post-dominates the selected node" };
+    else
+        return null;
+}
+
+// Draw the dominator tree in the side view. Clicking a node moves to the node
+// in the CFG.
+function drawDomTree(tree)
+{
+    let svg = d3.select("svg#domTree");
+    svg.selectAll("*").remove();
+    let stage = svg.append("g");
+    let zoom = d3.zoom().scaleExtent([0.1, 4]).on("zoom", function () {
+        stage.attr("transform", d3.event.transform);
+    });
+    svg.call(zoom).call(zoom.transform, d3.zoomIdentity.translate(10, 10));
+    let lineFunction = d3.line()
+        .x(function (d) { return d.X; })
+        .y(function (d) { return d.Y; })
+        .curve(d3.curveMonotoneY);
+    tree.Edges.forEach(function (e) {
+        stage.append("path")
+            .attr("class", "cfg" + e.Type)
+            .attr("d", lineFunction(e.Points))
+            .attr("stroke-width", 1)
+            .attr("fill", "none")
+            .attr("marker-end", "url(#cfg" + e.Type + "Arrow)");
+    });
+    tree.Nodes.forEach(function (v) {
+        let node = stage.append("g")
+            .attr("class", "domTreeNode").attr("data-addr", v.Address)
+            .attr("transform", "translate(" + v.Pos.X + "," + v.Pos.Y + ")");
+        node.append("rect")
+            .attr("width", v.Width).attr("height", v.Height)
+            .attr("fill", "white").attr("stroke", "black");
+        node.append("text")
+            .attr("x", padding).attr("y", padding).attr("dy", "1em")
+            .text(v.Terms[0][0][0]);
+        node.on("click", function () {
+            activeViewer.focusOnAddr(v.Address);
+        });
+    });
+    highlightDomTreeNode();
+}
+
+function highlightDomTreeNode()
+{
+    let addr = activeViewer.selectedAddr;
+    d3.selectAll(".domTreeNode rect").classed("nodeHighlight", false);
+    if (addr === null) return;
+    d3.selectAll(".domTreeNode[data-addr='" + addr + "'] rect")
+        .classed("nodeHighlight", true);
+}
+
+// Load the analyses that are turned on for the function of the active viewer
+// if they are not loaded yet.
+function loadAnalysis()
+{
+    if (activeViewer.func === null || isOffline()) return;
+    let name = activeViewer.func;
+    let needsOverlay = analysisShown.loops || analysisShown.doms;
+    if (needsOverlay && cfgAnalysisFunc != name) {
+        query("cfganalysis", name, function (json) {
+            // Outer loops come first, so inner loops override them below.
+            json.Loops.sort(function (a, b) {
+                return b.Body.length - a.Body.length;
+            });
+            // Map each address to the index of its innermost loop.
+            json.InnerLoops = new Map();
+            json.Loops.forEach(function (loop, idx) {
+                loop.Body.forEach(function (a) {
+                    json.InnerLoops.set(a, idx);
+                });
+            });
+            cfgAnalysis = json;
+            cfgAnalysisFunc = name;
+            refreshOverlays();
+        });
+    }
+    if (analysisShown.domtree && domTreeFunc != name) {
+        query("domtree", name, function (json) {
+            if (isEmpty(json)) return;
+            domTreeFunc = name;
+            $("#domTreeTitle").text(name);
+            drawDomTree(json);
+        });
+    }
+}
+
+function updateAnalysis()
+{
+    $(".analysisToggle").each(function () {
+        $(this).toggleClass("active", analysisShown[$(this).data("analysis")]);
+    });
+    $("#domTreePanel").toggle(analysisShown.domtree);
+    loadAnalysis();
+    refreshOverlays();
+}
+
+function registerAnalysisEvents()
+{
+    $(".analysisToggle").click(function (e) {
+        e.preventDefault();
+        let key = $(this).data("analysis");
+        analysisShown[key] = !analysisShown[key];
+        updateAnalysis();
+    });
+    $("#domTreePanel .btn-dockclose").click(function () {
+        analysisShown.domtree = false;
+        updateAnalysis();
+    });
+}
+
+// Return the instructions (or IR statements) of a node without the addresses
+// and the comments.
+function getBlockInstrs(v)
+{
+    return v.Terms.filter(function (terms) { return terms.length > 0; })
+        .map(function (terms) {
+            if (isIRLine(terms))
+                return terms.map(function (t) { return t[0]; }).join("");
+            let instr = terms.slice(1, terms.length - 1)
+                .map(function (t) { return t[0].trim(); }).join(", ");
+            // Branch targets move whenever code is added or removed.
+            if (branchRegex.test(instr.split(" ")[0]))
+                instr = instr.replace(/0x[0-9A-Fa-f]+|<[^>]+>/g, "#");
+            return instr;
+        });
+}
+
+// Count each instruction of a block. Constants are ignored here so that we can
+// match a block even if its constants are changed.
+function countInstrs(instrs)
+{
+    let counts = new Map();
+    instrs.forEach(function (instr) {
+        let key = instr.replace(/0x[0-9A-Fa-f]+|\b\d+\b/g, "#");
+        counts.set(key, (counts.get(key) || 0) + 1);
+    });
+    return counts;
+}
+
+// The similarity of two blocks is the Jaccard index of their instructions.
+function getBlockSimilarity(a, b)
+{
+    let common = 0;
+    let total = 0;
+    a.forEach(function (n, key) {
+        let m = b.has(key) ? b.get(key) : 0;
+        common += Math.min(n, m);
+        total += Math.max(n, m);
+    });
+    b.forEach(function (m, key) { if (!a.has(key)) total += m; });
+    return total == 0 ? 1 : common / total;
+}
+
+function getEntryAddr(g)
+{
+    return g.Nodes.reduce(function (addr, v) {
+        return Math.min(addr, v.Address);
+    }, Infinity);
+}
+
+// Match the blocks of two graphs. Blocks at the same offset from their entries
+// are matched first, and then the most similar blocks are matched. For each
+// side, the result has the index of the matched block (or -1) on the other side
+// and the status of each block.
+function diffGraphs(ga, gb)
+{
+    let instrs = [ga, gb].map(function (g) {
+        return g.Nodes.map(getBlockInstrs);
+    });
+    let counts = instrs.map(function (xs) { return xs.map(countInstrs); });
+    let match = [ga.Nodes.map(function () { return -1; }),
+                 gb.Nodes.map(function () { return -1; })];
+    let link = function (i, j) { match[0][i] = j; match[1][j] = i; };
+    let similarity = function (i, j) {
+        return getBlockSimilarity(counts[0][i], counts[1][j]);
+    };
+    let baseA = getEntryAddr(ga);
+    let baseB = getEntryAddr(gb);
+    let offsets = new Map();
+    gb.Nodes.forEach(function (v, j) { offsets.set(v.Address - baseB, j); });
+    ga.Nodes.forEach(function (v, i) {
+        let j = offsets.get(v.Address - baseA);
+        if (j !== undefined && similarity(i, j) >= diffThreshold) link(i, j);
+    });
+    let pairs = [];
+    ga.Nodes.forEach(function (_, i) {
+        if (match[0][i] >= 0) return;
+        gb.Nodes.forEach(function (_, j) {
+            if (match[1][j] >= 0) return;
+            let sim = similarity(i, j);
+            if (sim >= diffThreshold) pairs.push({ i: i, j: j, sim: sim });
+        });
+    });
+    pairs.sort(function (a, b) { return b.sim - a.sim; });
+    pairs.forEach(function (p) {
+        if (match[0][p.i] < 0 && match[1][p.j] < 0) link(p.i, p.j);
+    });
+    let status = match.map(function (m, side) {
+        return m.map(function (j, i) {
+            if (j < 0) return side == 0 ? "removed" : "added";
+            let a = instrs[side][i].join("\n");
+            let b = instrs[1 - side][j].join("\n");
+            return a == b ? "same" : "changed";
+        });
+    });
+    return { match: match, status: status };
+}
+
+// Fit the whole graph of a diff side into its view.
+function fitDiffSide(side)
+{
+    let box = getGraphBox(side.g.Nodes, side.g.Edges);
+    let rect = side.svg.getBoundingClientRect();
+    let k = Math.min(1, rect.width / (box.maxX - box.minX) * 0.9,
+                     rect.height / (box.maxY - box.minY) * 0.9);
+    let x = (rect.width - k * (box.minX + box.maxX)) / 2;
+    let y = padding - k * box.minY;
+    d3.select(side.svg)
+        .call(side.zoom.transform, d3.zoomIdentity.translate(x, y).scale(k));
+}
+
+// Move the i-th node of a diff side to the center of its view.
+function centerDiffNode(side, i)
+{
+    let v = side.g.Nodes[i];
+    let rect = side.svg.getBoundingClientRect();
+    let k = d3.zoomTransform(side.svg).k;
+    let x = rect.width / 2 - k * (v.Pos.X + v.Width / 2);
+    let y = rect.height / 2 - k * (v.Pos.Y + v.Height / 2);
+    d3.select(side.svg).transition()
+        .duration(focusMovementDuration)
+        .call(side.zoom.transform, d3.zoomIdentity.translate(x, y).scale(k));
+}
+
+// Select the i-th node of the s-th diff side, and center its match on the other
+// side.
+function selectDiffNode(s, i)
+{
+    let j = diffResult.match[s][i];
+    diffSides.forEach(function (side) {
+        side.elms.forEach(function (elm) {
+            elm.select(".cfgNode").classed("nodeHighlight", false);
+        });
+    });
+    diffSides[s].elms[i].select(".cfgNode").classed("nodeHighlight", true);
+    if (j < 0) return;
+    let other = diffSides[1 - s];
+    other.elms[j].select(".cfgNode").classed("nodeHighlight", true);
+    centerDiffNode(other, j);
+}
+
+// Draw the graph of a diff side, where nodes are colored by their status.
+function drawDiffSide(side, g, status)
+{
+    let svg = d3.select(side.svg);
+    svg.selectAll("*").remove();
+    let defs = svg.append("defs");
+    initMarker(defs, "cfgJmpEdgeArrow");
+    initMarker(defs, "cfgCJmpTrueEdgeArrow");
+    initMarker(defs, "cfgCJmpFalseEdgeArrow");
+    let stage = svg.append("g");
+    let edgeLayer = stage.append("g");
+    let nodeLayer = stage.append("g");
+    g.Edges.forEach(function (e, i) { drawEdge(edgeLayer, e, i, false); });
+    side.g = g;
+    side.elms = g.Nodes.map(function (v, i) {
+        let elm = drawNode(nodeLayer, v, i, true);
+        let fill = diffColors[status[i]];
+        if (fill !== undefined) elm.select(".cfgNode").attr("fill", fill);
+        elm.select(".cfgNodeBlur").append("title").text(status[i]);
+        return elm;
+    });
+    nodeLayer.on("click", function () {
+        let grp = $(d3.event.target).closest(".cfgNodeGrp");
+        if (grp.length == 0) return;
+        selectDiffNode(side.index, parseInt(grp.attr("data-node")));
+    });
+    side.zoom = d3.zoom().scaleExtent([0.01, 20]).on("zoom", function () {
+        stage.attr("transform", d3.event.transform);
+    });
+    svg.call(side.zoom).on("dblclick.zoom", null);
+    fitDiffSide(side);
+}
+
+function showDiff(graphs, names)
+{
+    $("#diffView").show();
+    diffResult = diffGraphs(graphs[0], graphs[1]);
+    diffSides.forEach(function (side, s) {
+        $(side.title).text(names[s]);
+        drawDiffSide(side, graphs[s], diffResult.status[s]);
+    });
+    let count = function (s, status) {
+        return diffResult.status[s].filter(function (x) {
+            return x == status;
+        }).length;
+    };
+    $("#diffSummary").text(count(1, "added") + " added, "
+                           + count(0, "removed") + " removed, "
+                           + count(1, "changed") + " changed");
+}
+
+// Read a diff source from its form. A source is a function of this binary, a
+// function of another BinExplorer instance, or a CFG (JSON) file.
+function getDiffSource(form)
+{
+    let files = form.find(".diffFile")[0].files;
+    return {
+        kind: form.find(".diffKind").val(),
+        url: form.find(".diffURL").val().trim().replace(/\/+$/, ""),
+        func: form.find(".diffFunc").val().trim(),
+        file: files.length > 0 ? files[0] : null
+    };
+}
+
+function getDiffSourceName(src)
+{
+    if (src.kind == "file") return src.file === null ? "" : src.file.name;
+    else if (src.kind == "remote") return src.url + " " + src.func;
+    else return src.func;
+}
+
+function loadDiffSource(src)
+{
+    return new Promise(function (resolve, reject) {
+        let name = getDiffSourceName(src);
+        let onError = function () { reject("Cannot load the CFG: " + name); };
+        let q = cfgQueryName(activeViewer.mode);
+        if (src.kind == "file") {
+            if (src.file === null) return onError();
+            // A file is laid out here if it is not yet, as in offline mode.
+            readFile(src.file).then(JSON.parse).then(function (json) {
+                let g = getLaidOutGraph(json);
+                if (g === null) onError();
+                else resolve(g);
+            }, onError);
+        } else if (src.kind == "remote") {
+            queryServer(src.url, q, src.func, resolve, onError);
+        } else {
+            query(q, src.func, resolve, onError);
+        }
+    });
+}
+
+function updateDiffSourceForm(form)
+{
+    let kind = form.find(".diffKind").val();
+    form.find(".diffURL").toggle(kind == "remote");
+    form.find(".diffFunc").toggle(kind != "file");
+    form.find(".diffFile").toggle(kind == "file");
+}
+
+function registerDiffEvents()
+{
+    diffSides = ["Old", "New"].map(function (name, s) {
+        return {
+            index: s,
+            svg: document.getElementById("diff" + name),
+            title: document.getElementById("diff" + name + "Title"),
+            g: null,
+            elms: [],
+            zoom: null
+        };
+    });
+    ["added", "removed", "changed"].forEach(function (status) {
+        $("#diffLegend [data-status='" + status + "']")
+            .css("background-color", diffColors[status]);
+    });
+    // Other instances do not answer the pages that are opened as files.
+    if (isOffline()) $(".diffKind option[value='remote']").remove();
+    $(".diffKind").change(function () {
+        updateDiffSourceForm($(this).closest(".diffSource"));
+    });
+    $("#modalDiff").on("show.bs.modal", function () {
+        let func = $(".diffSource:first .diffFunc");
+        let name = activeViewer.func;
+        if (func.val() == "" && name !== null) func.val(name);
+    });
+    $("#btnDiff").click(function () {
+        let sources = $(".diffSource").map(function () {
+            return getDiffSource($(this));
+        }).get();
+        Promise.all(sources.map(loadDiffSource)).then(function (graphs) {
+            let isInvalid = function (g) {
+                return isEmpty(g) || !Array.isArray(g.Nodes)
+                    || g.Nodes.length == 0;
+            };
+            if (graphs.some(isInvalid)) return alert("Not a CFG (or empty).");
+            $("#modalDiff").modal("hide");
+            showDiff(graphs, sources.map(getDiffSourceName));
+        }, alert);
+    });
+    $("#btn-diffclose").click(function () { $("#diffView").hide(); });
+}
+
+function isPathOverlayEnabled(vw)
+{
+    return isPathMode && vw.pathQuery !== null;
+}
+
+function pathNodeStyle(vw, g, i)
+{
+    let pathQuery = vw.pathQuery;
+    if (i == pathQuery.source)
+        return { stroke: pathColor, title: "Source of the paths" };
+    else if (i == pathQuery.target)
+        return { stroke: pathColor, title: "Target of the paths" };
+    else if (pathQuery.nodes.has(i))
+        return { fill: d3.interpolateRgb("white", pathColor)(0.3) };
+    else
+        return null;
+}
+
+function pathEdgeStyle(vw, g, i)
+{
+    if (vw.pathQuery.nodes.size == 0) return null;
+    else if (vw.pathQuery.edges.has(i)) return { width: 2 };
+    else return { opacity: 0.2 };
+}
+
+// Build the adjacency lists of a graph, where the neighbors of each node are
+// { node, edge } by their indices. The index maps an address to its node.
+function getAdjacency(g)
+{
+    let index = new Map();
+    g.Nodes.forEach(function (v, i) { index.set(v.Address, i); });
+    let succs = g.Nodes.map(function () { return []; });
+    let preds = g.Nodes.map(function () { return []; });
+    g.Edges.forEach(function (e, k) {
+        let u = index.get(e.From);
+        let v = index.get(e.To);
+        if (u === undefined || v === undefined) return;
+        succs[u].push({ node: v, edge: k });
+        preds[v].push({ node: u, edge: k });
+    });
+    return { index: index, succs: succs, preds: preds };
+}
+
+// Return the nodes visited by a BFS from the start node, where each node maps
+// to its parent node (-1 for the start node). The adjacency list (adj) has the
+// neighbors of each node as { node, edge }.
+function searchBreadthFirst(start, adj)
+{
+    let parents = new Map([[start, -1]]);
+    let queue = [start];
+    for (let h = 0; h < queue.length; h++) {
+        adj[queue[h]].forEach(function (n) {
+            if (parents.has(n.node)) return;
+            parents.set(n.node, queue[h]);
+            queue.push(n.node);
+        });
+    }
+    return parents;
+}
+
+// Find the nodes and the edges on every path from the source to the target
+// node, which are reachable from the source and reach the target. The result
+// also has the shortest path as a list of nodes, which is empty if the target
+// is unreachable.
+function findPaths(g, source, target)
+{
+    let adj = getAdjacency(g);
+    let index = adj.index;
+    let fwd = searchBreadthFirst(source, adj.succs);
+    let bwd = searchBreadthFirst(target, adj.preds);
+    let paths = { source: source, target: target, nodes: new Set(),
+                  edges: new Set(), shortest: [], step: 0 };
+    if (!fwd.has(target)) return paths;
+    fwd.forEach(function (_, i) { if (bwd.has(i)) paths.nodes.add(i); });
+    g.Edges.forEach(function (e, k) {
+        if (fwd.has(index.get(e.From)) && bwd.has(index.get(e.To)))
+            paths.edges.add(k);
+    });
+    for (let i = target; i >= 0; i = fwd.get(i)) paths.shortest.unshift(i);
+    return paths;
+}
+
+// The first click picks the source node in the viewer (vw), and the second one
+// picks the target node. Another click starts over from a new source.
+function pickPathNode(vw, i)
+{
+    let q = vw.pathQuery;
+    if (q === null || q.target !== null) {
+        vw.pathQuery = { source: i, target: null, nodes: new Set(),
+                         edges: new Set(), shortest: [], step: 0 };
+    } else {
+        vw.pathQuery = findPaths(vw.graph, q.source, i);
+    }
+    updatePathPanel();
+    applyOverlays(vw);
+}
+
+function stepPath(step)
+{
+    let vw = activeViewer;
+    let pathQuery = vw.pathQuery;
+    if (pathQuery === null) return;
+    if (step < 0 || step >= pathQuery.shortest.length) return;
+    let prev = pathQuery.shortest[pathQuery.step];
+    pathQuery.step = step;
+    vw.panToNode(pathQuery.shortest[step], prev);
+    $("#pathSteps li").removeClass("active").eq(step).addClass("active");
+}
+
+// The path panel shows the paths in the active viewer.
+function updatePathPanel()
+{
+    let pathQuery = activeViewer.pathQuery;
+    let addrOf = function (i) {
+        return "0x" + activeViewer.graph.Nodes[i].Address.toString(16);
+    };
+    $("#pathPanel").toggle(isPathMode);
+    $("#pathSteps").empty();
+    $("#pathStepGrp").hide();
+    if (pathQuery === null) {
+        $("#pathStatus").text("Click the source node.");
+    } else if (pathQuery.target === null) {
+        $("#pathStatus").text("Click the target node.");
+    } else if (pathQuery.shortest.length == 0) {
+        $("#pathStatus").text(addrOf(pathQuery.target)
+                              + " is unreachable from "
+                              + addrOf(pathQuery.source) + ".");
+    } else {
+        $("#pathStatus").text(pathQuery.nodes.size + " node(s) and "
+                              + pathQuery.edges.size + " edge(s) are on the "
+                              + "paths. The shortest path:");
+        pathQuery.shortest.forEach(function (i) {
+            $("<li>").text(addrOf(i)).appendTo("#pathSteps");
+        });
+        $("#pathStepGrp").show();
+    }
+}
+
+function registerPathEvents()
+{
+    $("#btn-path").click(function () {
+        isPathMode = !isPathMode;
+        viewers.forEach(function (vw) { vw.pathQuery = null; });
+        $(this).toggleClass("active", isPathMode);
+        updatePathPanel();
+        refreshOverlays();
+    });
+    $("#btn-pathprev").click(function () {
+        stepPath(activeViewer.pathQuery.step - 1);
+    });
+    $("#btn-pathnext").click(function () {
+        stepPath(activeViewer.pathQuery.step + 1);
+    });
+    $("#pathSteps").on("click", "li", function () {
+        stepPath($(this).index());
+    });
+}
+
+// Collapsed regions are kept for each view mode of each function, so viewers
+// of the same function share them.
+function getCollapseKey(vw)
+{
+    return vw.mode + ":" + (vw.func === null ? "" : vw.func);
+}
+
+function getCollapsedRegions(vw)
+{
+    let regions = collapsedRegions[getCollapseKey(vw)];
+    return regions === undefined ? [] : regions;
+}
+
+function hasCollapsedRegions(vw)
+{
+    return !vw.isCallGraph && getCollapsedRegions(vw).length > 0;
+}
+
+// The layout identifies nodes by their addresses, so we can collapse regions
+// only in a CFG whose nodes have distinct addresses. Some IR CFGs have several
+// nodes at the same address.
+function canCollapse(vw, g)
+{
+    if (vw.isCallGraph) return false;
+    let addrs = new Set(g.Nodes.map(function (v) { return v.Address; }));
+    return addrs.size == g.Nodes.length;
+}
+
+function collapsedNodeStyle(vw, g, i)
+{
+    let v = g.Nodes[i];
+    if (v.Members === undefined) return null;
+    return { fill: collapsedColor,
+             title: v.Members.length + " collapsed block(s)" };
+}
+
+// The root of a graph is the first node without predecessors, or the node of
+// the lowest address if every node has one.
+function getRootAddr(g)
+{
+    let adj = getAdjacency(g);
+    let i = adj.preds.findIndex(function (ps) { return ps.length == 0; });
+    return i >= 0 ? g.Nodes[i].Address : getEntryAddr(g);
+}
+
+// Build a summary node of a region, which shows the kind and the size of the
+// region, and keeps the original nodes as its members.
+function makeSummaryNode(region, members)
+{
+    let instrs = 0;
+    members.forEach(function (v) {
+        v.Terms.forEach(function (terms) {
+            if (getLineAddr(terms) !== null) instrs++;
+        });
+    });
+    let lines = [
+        regionTitles[region.kind] + " at " + region.entry.toString(16),
+        members.length + " block(s)"
+            + (instrs > 0 ? ", " + instrs + " instruction(s)" : ""),
+        "Double-click to expand"
+    ];
+    let maxLength = lines.reduce(function (acc, l) {
+        return Math.max(acc, l.length);
+    }, 0);
+    let size = getTextNodeSize(maxLength, lines.length);
+    return {
+        Address: region.entry,
+        Terms: lines.map(function (l) { return [[l, "Summary"]]; }),
+        Width: size.Width, Height: size.Height, Members: members
+    };
+}
+
+// Collapse each region of the graph (g) into its summary node, and lay out the
+// result. The edges from (to) a region start from (end at) its summary node,
+// and the edges inside a region are hidden.
+function collapseGraph(g, regions)
+{
+    let owners = new Map();
+    regions.forEach(function (r) {
+        r.addrs.forEach(function (a) { owners.set(a, r); });
+    });
+    let mapAddr = function (a) {
+        return owners.has(a) ? owners.get(a).entry : a;
+    };
+    let nodes = [];
+    let members = new Map();
+    g.Nodes.forEach(function (v) {
+        let r = owners.get(v.Address);
+        if (r === undefined) nodes.push(v);
+        else if (members.has(r)) members.get(r).push(v);
+        else members.set(r, [v]);
+    });
+    members.forEach(function (vs, r) { nodes.push(makeSummaryNode(r, vs)); });
+    let keys = new Set();
+    let edges = [];
+    g.Edges.forEach(function (e) {
+        let from = mapAddr(e.From), to = mapAddr(e.To);
+        let r = owners.get(e.From);
+        if (r !== undefined && r === owners.get(e.To)) return;
+        let key = from + "," + to;
+        if (keys.has(key)) return;
+        keys.add(key);
+        edges.push({ Type: e.Type, From: from, To: to });
+    });
+    return layoutGraph(nodes, edges, mapAddr(getRootAddr(g)));
+}
+
+// The functions below analyze a CFG without the server, and are used only in
+// offline mode. Online, we take the analysis of the server. See
+// loadCollapseAnalysis.
+
+// Compute the immediate dominator of each node that is reachable from the root
+// with the iterative algorithm of Cooper et al. The adjacency lists are the
+// ones of getAdjacency, and the root is its own immediate dominator.
+function getIDoms(root, succs, preds)
+{
+    let postOrder = [];
+    let visited = new Set([root]);
+    let stack = [{ node: root, i: 0 }];
+    while (stack.length > 0) {
+        let top = stack[stack.length - 1];
+        if (top.i < succs[top.node].length) {
+            let n = succs[top.node][top.i++].node;
+            if (visited.has(n)) continue;
+            visited.add(n);
+            stack.push({ node: n, i: 0 });
+        } else {
+            postOrder.push(top.node);
+            stack.pop();
+        }
+    }
+    let order = new Map();
+    postOrder.forEach(function (n, i) { order.set(n, i); });
+    let idoms = new Map([[root, root]]);
+    let intersect = function (a, b) {
+        while (a != b) {
+            while (order.get(a) < order.get(b)) a = idoms.get(a);
+            while (order.get(b) < order.get(a)) b = idoms.get(b);
+        }
+        return a;
+    };
+    let isChanged = true;
+    while (isChanged) {
+        isChanged = false;
+        // Visit the nodes in the reverse post-order except the root.
+        for (let k = postOrder.length - 2; k >= 0; k--) {
+            let n = postOrder[k];
+            let idom = null;
+            preds[n].forEach(function (p) {
+                if (!idoms.has(p.node)) return;
+                idom = idom === null ? p.node : intersect(p.node, idom);
+            });
+            if (idom !== null && idoms.get(n) !== idom) {
+                idoms.set(n, idom);
+                isChanged = true;
+            }
+        }
+    }
+    return idoms;
+}
+
+function dominates(idoms, a, b)
+{
+    while (idoms.has(b)) {
+        if (a == b) return true;
+        if (idoms.get(b) == b) return false;
+        b = idoms.get(b);
+    }
+    return false;
+}
+
+// Compute the immediate post-dominators, where every node without successors
+// goes to a virtual exit node (whose index is the number of the nodes).
+function getIPDoms(adj)
+{
+    let exit = adj.succs.length;
+    let succs = adj.preds.concat([[]]);
+    let preds = adj.succs.concat([[]]);
+    adj.succs.forEach(function (ss, n) {
+        if (ss.length > 0) return;
+        succs[exit].push({ node: n, edge: -1 });
+        preds[n] = [{ node: exit, edge: -1 }];
+    });
+    return getIDoms(exit, succs, preds);
+}
+
+// Find the innermost natural loop that contains the node n, which is a set of
+// nodes, or null if there is no such loop. The loops of the same header are
+// merged.
+function findLoop(adj, idoms, n)
+{
+    let loops = new Map();
+    adj.succs.forEach(function (ss, t) {
+        ss.forEach(function (s) {
+            let h = s.node;
+            if (!dominates(idoms, h, t)) return;
+            let body = loops.has(h) ? loops.get(h) : new Set([h]);
+            let stack = [t];
+            while (stack.length > 0) {
+                let m = stack.pop();
+                if (body.has(m) || !idoms.has(m)) continue;
+                body.add(m);
+                adj.preds[m].forEach(function (p) { stack.push(p.node); });
+            }
+            loops.set(h, body);
+        });
+    });
+    let inner = null;
+    loops.forEach(function (body) {
+        if (!body.has(n)) return;
+        if (inner === null || body.size < inner.size) inner = body;
+    });
+    return inner;
+}
+
+// Find the single-entry single-exit region that starts at the node n: the
+// nodes reachable from n without passing its immediate post-dominator. This
+// returns null if a node of the region other than n is entered from outside.
+function findRegion(adj, ipdoms, n)
+{
+    let exit = ipdoms.get(n);
+    let region = new Set([n]);
+    let stack = [n];
+    while (stack.length > 0) {
+        adj.succs[stack.pop()].forEach(function (s) {
+            if (s.node === exit || region.has(s.node)) return;
+            region.add(s.node);
+            stack.push(s.node);
+        });
+    }
+    let isSingleEntry = Array.from(region).every(function (m) {
+        return m == n || adj.preds[m].every(function (p) {
+            return region.has(p.node);
+        });
+    });
+    return isSingleEntry ? region : null;
+}
+
+// The entry of a set of nodes is the lowest address among the nodes entered
+// from outside. A set without such nodes has the root of the graph.
+function getGroupEntry(g, addrs)
+{
+    let adj = getAdjacency(g);
+    let set = new Set(addrs);
+    let entries = addrs.filter(function (a) {
+        let i = adj.index.get(a);
+        return adj.preds[i].some(function (p) {
+            return !set.has(g.Nodes[p.node].Address);
+        });
+    });
+    if (entries.length > 0) return Math.min.apply(null, entries);
+    let root = getRootAddr(g);
+    return set.has(root) ? root : Math.min.apply(null, addrs);
+}
+
+// Load the dominators and the loops of the graph of the viewer (vw) from the
+// server, which we use to collapse loops and regions.
+function loadCollapseAnalysis(vw)
+{
+    let key = getCollapseKey(vw);
+    if (isOffline() || collapseAnalyses[key] !== undefined) return;
+    let name = vw.mode == "ir" ? "ircfganalysis" : "cfganalysis";
+    query(name, vw.func, function (json) { collapseAnalyses[key] = json; });
+}
+
+// Find the innermost loop and the region of the n-th node of the base graph of
+// the viewer (vw), which are sets of node indices, or null. See findLoop and
+// findRegion.
+function findLoopAndRegion(vw, adj, n)
+{
+    if (isOffline()) {
+        let root = adj.index.get(getRootAddr(vw.baseGraph));
+        return { loop: findLoop(adj, getIDoms(root, adj.succs, adj.preds), n),
+                 region: findRegion(adj, getIPDoms(adj), n) };
+    }
+    let analysis = collapseAnalyses[getCollapseKey(vw)];
+    if (analysis === undefined) return { loop: null, region: null };
+    let toSet = function (addrs) {
+        return new Set(addrs.filter(function (a) {
+            return adj.index.has(a);
+        }).map(function (a) { return adj.index.get(a); }));
+    };
+    let addr = vw.baseGraph.Nodes[n].Address;
+    let inner = null;
+    analysis.Loops.forEach(function (l) {
+        if (l.Body.indexOf(addr) < 0) return;
+        if (inner === null || l.Body.length < inner.Body.length) inner = l;
+    });
+    let ipdoms = new Map();
+    analysis.IPDoms.forEach(function (e) {
+        ipdoms.set(adj.index.get(e.Node), adj.index.get(e.Dom));
+    });
+    return { loop: inner === null ? null : toSet(inner.Body),
+             region: findRegion(adj, ipdoms, n) };
+}
+
+// Return the addresses of the nodes of the base graph that the node v shows.
+function getMemberAddrs(v)
+{
+    if (v.Members === undefined) return [v.Address];
+    return v.Members.map(function (m) { return m.Address; });
+}
+
+// Draw the viewer (vw) again to show its collapsed regions, and show the node
+// of the given address. Other viewers of the same function follow.
+function redrawCollapsed(vw, addr)
+{
+    let key = getCollapseKey(vw);
+    viewers.forEach(function (w) {
+        if (w === vw) redrawViewer(w, addr);
+        else if (w.func !== null && getCollapseKey(w) == key)
+            redrawViewer(w, w.selectedAddr);
+    });
+}
+
+// Collapse the nodes of the given addresses in the base graph of the viewer
+// (vw) into a region. Collapsed regions that overlap the new one are merged
+// into it.
+function collapseNodes(vw, kind, entry, addrs)
+{
+    let set = new Set(addrs);
+    let regions = getCollapsedRegions(vw).filter(function (r) {
+        if (!r.addrs.some(function (a) { return set.has(a); })) return true;
+        r.addrs.forEach(function (a) { set.add(a); });
+        return false;
+    });
+    regions.push({ kind: kind, entry: entry, addrs: Array.from(set) });
+    collapsedRegions[getCollapseKey(vw)] = regions;
+    redrawCollapsed(vw, entry);
+}
+
+function expandRegion(vw, entry)
+{
+    collapsedRegions[getCollapseKey(vw)] =
+        getCollapsedRegions(vw).filter(function (r) {
+            return r.entry != entry;
+        });
+    redrawCollapsed(vw, entry);
+}
+
+function expandAllRegions(vw)
+{
+    delete collapsedRegions[getCollapseKey(vw)];
+    redrawCollapsed(vw, vw.selectedAddr);
+}
+
+// Add the menu items to collapse the highlighted nodes, or the innermost loop
+// or the region of the i-th node of the viewer (vw), and to expand collapsed
+// nodes. Loops and regions are found in the base graph.
+function addCollapseItems(vw, i, addItem)
+{
+    let g = vw.graph;
+    let baseGraph = vw.baseGraph;
+    let v = g.Nodes[i];
+    let own = new Set(getMemberAddrs(v));
+    let toAddrs = function (set) {
+        return Array.from(set).map(function (n) {
+            return baseGraph.Nodes[n].Address;
+        });
+    };
+    // A loop or a region is worth collapsing if it has other nodes.
+    let isNew = function (addrs) {
+        return addrs.some(function (a) { return !own.has(a); });
+    };
+    if (v.Members !== undefined) {
+        addItem("Expand " + v.Members.length + " block(s)", function () {
+            expandRegion(vw, v.Address);
+        });
+    }
+    if (vw.highlightedNodes.size > 1 && vw.highlightedNodes.has(i)) {
+        let addrs = [];
+        vw.highlightedNodes.forEach(function (j) {
+            addrs = addrs.concat(getMemberAddrs(g.Nodes[j]));
+        });
+        addItem("Collapse highlighted nodes", function () {
+            let entry = getGroupEntry(baseGraph, addrs);
+            collapseNodes(vw, "group", entry, addrs);
+        });
+    }
+    let adj = getAdjacency(baseGraph);
+    let found = findLoopAndRegion(vw, adj, adj.index.get(v.Address));
+    let loop = found.loop;
+    if (loop !== null && isNew(toAddrs(loop))) {
+        let addrs = toAddrs(loop);
+        let header = getGroupEntry(baseGraph, addrs);
+        addItem("Collapse loop at " + header.toString(16)
+                + " (" + addrs.length + " blocks)", function () {
+            collapseNodes(vw, "loop", header, addrs);
+        });
+    }
+    let region = found.region;
+    if (region !== null && isNew(toAddrs(region))) {
+        let addrs = toAddrs(region);
+        addItem("Collapse region from here (" + addrs.length + " blocks)",
+                function () {
+                    collapseNodes(vw, "region", v.Address, addrs);
+                });
+    }
+    if (getCollapsedRegions(vw).length > 0) {
+        addItem("Expand all", function () { expandAllRegions(vw); });
+    }
+}
+
+// A pattern is either a /regex/ or a string, where * matches anything, e.g.,
+// "pop e*; ret" for gadgets. An invalid pattern is marked in the form group
+// (grp) of its input.
+function getPatternMatcher(pattern, grp)
+{
+    grp.removeClass("has-error");
+    let body = pattern;
+    if (pattern.startsWith("/")) {
+        body = pattern.substring(1).replace(/\/$/, "");
+    } else {
+        body = pattern.replace(/[.+?^${}()|[\]\\]/g, "\\$&")
+                      .replace(/\*/g, ".*").replace(/\s*;\s*/g, "\\s*;\\s*");
+    }
+    try {
+        let regex = new RegExp(body, "i");
+        return function (text) { return regex.test(text); };
+    } catch (_) {
+        grp.addClass("has-error");
+        return function (_) { return false; };
+    }
+}
+
+function gadgetText(gadget)
+{
+    return gadget.Instrs.join("; ");
+}
+
+// Side effects of a gadget are shown only when it is summarized.
+function isGadgetShown(gadget, matcher)
+{
+    let reg = $("#gadgetReg").val();
+    if (!matcher(gadgetText(gadget))) return false;
+    let isPure = $("#gadgetPure").is(":checked");
+    if (!gadget.Summarized) return reg == "" && !isPure;
+    if (reg != "" && gadget.Regs.indexOf(reg) < 0) return false;
+    return !isPure || (!gadget.MemWrite && !gadget.SysCall);
+}
+
+function filterGadgets()
+{
+    let pattern = $("#gadgetSearch").val().trim();
+    let matcher = getPatternMatcher(pattern, $("#gadgetSearchGrp"));
+    let shown = gadgets.filter(function (g) {
+        return isGadgetShown(g, matcher);
+    });
+    let list = $("#gadgetList").empty();
+    shown.slice(0, gadgetLimit).forEach(function (g) {
+        let row = $("<div>").addClass("gadgetRow")
+            .attr("data-offset", g.Offset.toString(16));
+        $("<span>").addClass("gadgetAddr")
+            .text(g.Offset.toString(16)).appendTo(row);
+        $("<span>").text(gadgetText(g)).appendTo(row);
+        let effects = [];
+        if (g.MemWrite) effects.push("writes memory");
+        if (g.SysCall) effects.push("syscall");
+        if (!g.Summarized) effects.push("unknown side effects");
+        row.attr("title", effects.length > 0 ? effects.join(", ") : "");
+        list.append(row);
+    });
+    $("#gadgetCount").text(shown.length + " / " + gadgets.length);
+}
+
+// Set the registers that gadgets write as the options of the register filter.
+function drawGadgetRegs()
+{
+    let regs = new Set();
+    gadgets.forEach(function (g) {
+        g.Regs.forEach(function (r) { regs.add(r); });
+    });
+    let select = $("#gadgetReg").empty();
+    $("<option>").val("").text("Any register").appendTo(select);
+    Array.from(regs).sort().forEach(function (r) {
+        $("<option>").val(r).text("Sets " + r).appendTo(select);
+    });
+}
+
+function loadGadgets()
+{
+    $("#gadgetCount").text("Searching...");
+    query("gadgets", "", function (json) {
+        gadgets = json;
+        drawGadgetRegs();
+        filterGadgets();
+    }, function (msg) {
+        gadgets = [];
+        $("#gadgetCount").text(msg);
+    });
+}
+
+// Return the bytes of a chain word in little endian.
+function wordToBytes(word)
+{
+    let bytes = [];
+    for (let i = 0; i < 4; i++) bytes.push((word.Value >>> (i * 8)) & 0xff);
+    return bytes;
+}
+
+function chainToHex(chain)
+{
+    return chain.map(function (word) {
+        return wordToBytes(word).map(function (b) {
+            return ("0" + b.toString(16)).slice(-2);
+        }).join("");
+    }).join("");
+}
+
+// Each word is appended to the payload in its own line with its comment.
+function chainToPython(chain)
+{
+    let lines = chain.map(function (word) {
+        let bytes = wordToBytes(word).map(function (b) {
+            return "\\x" + ("0" + b.toString(16)).slice(-2);
+        }).join("");
+        let comment = word.Comment.length > 0 ? "  # " + word.Comment : "";
+        return "payload += b\"" + bytes + "\"" + comment;
+    });
+    return ["payload = b\"\""].concat(lines).join("\n");
+}
+
+function drawChain(chain)
+{
+    ropChain = chain;
+    let body = $("#ropChain").empty();
+    chain.forEach(function (word) {
+        let value = ("0000000" + word.Value.toString(16)).slice(-8);
+        let row = $("<div>").addClass("chainWord");
+        $("<span>").addClass("gadgetAddr").text(value).appendTo(row);
+        $("<span>").text(word.Comment).appendTo(row);
+        body.append(row);
+    });
+    $("#ropExportGrp").toggle(chain.length > 0);
+}
+
+function buildChain()
+{
+    let steps = $("#ropSteps").val();
+    $("#ropError").text("");
+    query("ropchain", steps, drawChain, function (msg) {
+        drawChain([]);
+        $("#ropError").text(msg);
+    });
+}
+
+// Append a step line to the chain.
+function addChainStep(step)
+{
+    let steps = $("#ropSteps").val().replace(/\s*$/, "");
+    $("#ropSteps").val((steps.length > 0 ? steps + "\n" : "") + step);
+}
+
+function registerROPEvents()
+{
+    $("#btn-rop").click(function () {
+        $("#ropPanel").toggle();
+        if ($("#ropPanel").is(":visible") && gadgets === null) loadGadgets();
+    });
+    $("#gadgetSearch").on("input", filterGadgets);
+    $("#gadgetReg, #gadgetPure").change(filterGadgets);
+    // Clicking a gadget adds it to the chain.
+    $("#gadgetList").on("click", ".gadgetRow", function () {
+        addChainStep("gadget 0x" + $(this).attr("data-offset"));
+    });
+    $("#btn-ropbuild").click(buildChain);
+    $("#btn-ropcopyhex").click(function () {
+        copyToClipboard(chainToHex(ropChain));
+    });
+    $("#btn-ropcopypy").click(function () {
+        copyToClipboard(chainToPython(ropChain));
+    });
+}
+
+function updateSearchHelp()
+{
+    let help = searchHelp[$("#searchKind").val()];
+    $("#searchPattern").attr("placeholder", help[0]);
+    $("#searchHelp").text(help[1]);
+}
+
+// Show the containing function of a hit. If the hit is data, show the function
+// referring to it instead.
+function searchHitFunc(hit)
+{
+    if (hit.Function.length > 0) return $("<span>").text(hit.Function);
+    if (hit.RefFunc.length == 0) return "";
+    return $("<span>", { "class": "searchRef",
+                         title: "Referred at " + hexAddr(hit.RefAddr) })
+        .text("\u2190 " + hit.RefFunc);
+}
+
+function drawSearchHits(hits)
+{
+    searchHits = hits;
+    let tbody = $("#searchResults tbody").empty();
+    hits.forEach(function (hit, i) {
+        let hex = $("<a>", { href: "#", "class": "searchHex", title: "Bytes" })
+            .append($("<span>", { "class": "glyphicon glyphicon-barcode" }));
+        appendRow(tbody, [hexAddr(hit.Address), hit.Section,
+                          searchHitFunc(hit), $("<span>").text(hit.Text), hex]);
+        tbody.children().last().addClass("searchHit").attr("data-idx", i);
+    });
+    let count = hits.length >= searchHitLimit
+        ? "first " + searchHitLimit : hits.length;
+    $("#searchStatus").text(count + " results");
+}
+
+function searchBinary()
+{
+    let pattern = $("#searchPattern").val();
+    if (pattern.trim().length == 0) return;
+    let kind = $("#searchKind").val();
+    $("#searchStatus").text("Searching...");
+    $("#searchResults tbody").empty();
+    query("search", kind + " " + pattern, drawSearchHits, function (msg) {
+        searchHits = [];
+        $("#searchStatus").text(msg);
+    });
+}
+
+// Open the CFG of the function containing the hit, or the function referring
+// to it. Show the bytes of the hit if there is no such function.
+function openSearchHit(hit)
+{
+    if (hit.Function.length > 0)
+        jumpTo({ func: hit.Function, addr: hit.Address });
+    else if (hit.RefFunc.length > 0)
+        jumpTo({ func: hit.RefFunc, addr: hit.RefAddr });
+    else showHexAt(hit.Address);
+}
+
+function registerSearchEvents()
+{
+    $("#btn-search").click(function () {
+        $("#searchPanel").toggle();
+        if ($("#searchPanel").is(":visible")) $("#searchPattern").focus();
+    });
+    $("#searchKind").change(updateSearchHelp);
+    updateSearchHelp();
+    $("#searchForm").submit(function (e) {
+        e.preventDefault();
+        searchBinary();
+    });
+    $("#searchResults").on("click", ".searchHit", function () {
+        openSearchHit(searchHits[$(this).attr("data-idx")]);
+    });
+    $("#searchResults").on("click", ".searchHex", function (e) {
+        e.preventDefault();
+        e.stopPropagation();
+        let idx = $(this).closest(".searchHit").attr("data-idx");
+        showHexAt(searchHits[idx].Address);
+    });
+}
+
+function hexAddr(addr)
+{
+    return "0x" + addr.toString(16);
+}
+
+// Show the bytes around the given address in the hex view.
+function showHexAt(addr)
+{
+    let base = addr - addr % 16;
+    $("#hexPanel").show();
+    hexBounds = [addr, addr + 1];
+    hexInstrAddr = null;
+    loadHexDump(Math.max(0, base - hexContext), base + 16 + hexContext,
+                { base: base, last: base + 16 });
+}
+
+// Open the CFG of the function that contains the given address, or show the
+// address in the hex view if it is not in any function.
+function openAddr(addr)
+{
+    query("findfunc", addr.toString(16), function (name) {
+        $("#overviewView").hide();
+        jumpTo({ func: name, addr: addr });
+    }, function () { showHexAt(addr); });
+}
+
+function addrLink(addr)
+{
+    return $("<a>", { href: "#", "class": "overviewAddr",
+                      "data-addr": addr, text: hexAddr(addr) });
+}
+
+// Draw a bar whose length is proportional to the size.
+function sizeBar(size, maxSize)
+{
+    let width = maxSize == 0 ? 0 : size / maxSize * 100;
+    return $("<div>", { "class": "sizeBar" }).css("width", width + "%");
+}
+
+function appendRow(table, cells)
+{
+    let row = $("<tr>");
+    cells.forEach(function (cell) { $("<td>").append(cell).appendTo(row); });
+    table.append(row);
+}
+
+function drawOverviewSummary(ov)
+{
+    let dl = $("#overviewSummary").empty();
+    let items = [
+        ["Path", ov.Path],
+        ["Format", ov.Format + " (" + ov.FileType + ")"],
+        ["Machine", ov.Machine + " (" + ov.WordSize + "-bit)"],
+        ["Entry point", addrLink(ov.EntryPoint)],
+        ["Text start", addrLink(ov.TextStart)],
+        ["NX", ov.NXEnabled ? "Enabled" : "Disabled"],
+        ["Stripped", ov.IsStripped ? "Yes" : "No"]
+    ];
+    items.forEach(function (item) {
+        $("<dt>").text(item[0]).appendTo(dl);
+        $("<dd>").append(item[1]).appendTo(dl);
+    });
+}
+
+function drawOverviewSections(ov)
+{
+    let maxSize = Math.max.apply(null, ov.Sections.map(function (s) {
+        return s.Size;
+    }).concat([0]));
+    let table = $("#overviewSections tbody").empty();
+    ov.Sections.forEach(function (s) {
+        appendRow(table, [s.Name, addrLink(s.Address), hexAddr(s.Size),
+                          s.Kind, s.Permission, sizeBar(s.Size, maxSize)]);
+    });
+    maxSize = Math.max.apply(null, ov.Segments.map(function (s) {
+        return s.Size;
+    }).concat([0]));
+    table = $("#overviewSegments tbody").empty();
+    ov.Segments.forEach(function (s) {
+        appendRow(table, [addrLink(s.Address), hexAddr(s.Address + s.Size),
+                          hexAddr(s.Size), s.Permission,
+                          sizeBar(s.Size, maxSize)]);
+    });
+}
+
+// Symbols are filtered by their names and their categories.
+function filterSymbols()
+{
+    if (overview === null) return;
+    let search = $("#symbolSearch").val().trim();
+    let category = $("#symbolCategory").val();
+    let matcher = getPatternMatcher(search, $("#symbolSearchGrp"));
+    let symbols = overview.Symbols.filter(function (s) {
+        return (category == "" || s.Category == category) && matcher(s.Name);
+    });
+    let table = $("#overviewSymbols tbody").empty();
+    symbols.slice(0, symbolLimit).forEach(function (s) {
+        let addr = s.Address == 0 ? "" : addrLink(s.Address);
+        appendRow(table, [s.Name, addr, s.Kind, s.Category, s.Library]);
+    });
+    $("#symbolCount").text(symbols.length + " / " + overview.Symbols.length);
+}
+
+function showOverview()
+{
+    $("#overviewView").show();
+    if (overview !== null) return;
+    query("overview", "", function (json) {
+        overview = json;
+        drawOverviewSummary(json);
+        drawOverviewSections(json);
+        filterSymbols();
+    });
+}
+
+function registerOverviewEvents()
+{
+    $("#btn-overview").click(showOverview);
+    $("#uiTitle").click(showOverview);
+    $("#btn-overviewclose").click(function () { $("#overviewView").hide(); });
+    $("#symbolSearch").on("input", filterSymbols);
+    $("#symbolCategory").change(filterSymbols);
+    $("#overviewView").on("click", ".overviewAddr", function (e) {
+        e.preventDefault();
+        openAddr(parseInt($(this).attr("data-addr")));
+    });
+}
+
+function registerDockEvents()
+{
+    $(".btn-dockclose").click(function () {
+        $(this).closest(".dockPanel").hide();
+    });
+    $(".btn-dock").click(function () {
+        $(this).closest(".dockPanel").toggleClass("dockRight");
+    });
+}
+
+// Append a line of the console output while turning its addresses into links.
+function appendConsoleLine(line, cls)
+{
+    let div = $("<div>", { "class": cls });
+    let last = 0;
+    let m;
+    consoleAddrRegex.lastIndex = 0;
+    while ((m = consoleAddrRegex.exec(line)) !== null) {
+        div.append(document.createTextNode(line.substring(last, m.index)));
+        div.append($("<span>", { "class": "consoleAddr", text: m[0] }));
+        last = m.index + m[0].length;
+    }
+    div.append(document.createTextNode(line.substring(last)));
+    $("#consoleOutput").append(div);
+}
+
+function scrollConsole()
+{
+    let body = $("#consoleBody");
+    body.scrollTop(body.prop("scrollHeight"));
+}
+
+// Run the command line on the server. The output comes in the answer when the
+// command finishes, and other pages get it through the "cli" event. As with
+// renameFunction, the line goes in the body of a POST request.
+function runCommand(line)
+{
+    appendConsoleLine("B2R2> " + line, "consoleCmd");
+    if (line.trim().length > 0) {
+        cmdHistory.push(line);
+        sentCommands.push(line);
+        query("command", "", function (lines) {
+            $.each(lines, function (_, l) { appendConsoleLine(l, ""); });
+            scrollConsole();
+        }, function (msg) {
+            sentCommands.splice(sentCommands.indexOf(line), 1);
+            appendConsoleLine(msg, "");
+            scrollConsole();
+        }, line);
+    }
+    cmdHistoryIndex = cmdHistory.length;
+    scrollConsole();
+}
+
+function commonPrefix(strs)
+{
+    let prefix = strs[0];
+    for (let i = 1; i < strs.length; i++) {
+        while (!strs[i].startsWith(prefix))
+            prefix = prefix.substring(0, prefix.length - 1);
+    }
+    return prefix;
+}
+
+// Complete the current input with the command keywords. When there are
+// multiple candidates, we show them all.
+function completeCommand(input)
+{
+    let line = input.val();
+    let candidates = cmdKeywords.filter(function (k) {
+        return k.startsWith(line);
+    });
+    if (candidates.length == 1) {
+        input.val(candidates[0] + " ");
+    } else if (candidates.length > 1) {
+        input.val(commonPrefix(candidates));
+        appendConsoleLine(candidates.join("  "), "");
+        scrollConsole();
+    }
+}
+
+function registerConsoleEvents()
+{
+    let input = $("#consoleInput");
+    query("commands", "", function (keywords) { cmdKeywords = keywords; });
+    $("#btn-console").click(function () {
+        $("#consolePanel").toggle();
+        if ($("#consolePanel").is(":visible")) input.focus();
+    });
+    $("#consoleBody").click(function () {
+        if (window.getSelection().toString().length == 0) input.focus();
+    });
+    input.keydown(function (e) {
+        if (e.which == 13) { // Enter
+            runCommand(input.val());
+            input.val("");
+        } else if (e.which == 9) { // Tab
+            e.preventDefault();
+            completeCommand(input);
+        } else if (e.which == 38 || e.which == 40) { // Up or Down
+            e.preventDefault();
+            let idx = cmdHistoryIndex + (e.which == 38 ? -1 : 1);
+            if (idx < 0 || idx > cmdHistory.length) return;
+            cmdHistoryIndex = idx;
+            input.val(idx < cmdHistory.length ? cmdHistory[idx] : "");
+        }
+    });
+    // Clicking an address moves to the function that contains the address.
+    $("#consoleOutput").on("click", ".consoleAddr", function () {
+        jumpTo({ func: null, addr: parseInt($(this).text(), 16) });
+    });
+}
+
+function isOffline()
+{
+    return window.location.protocol == "file:";
+}
+
+// Show a dialog to edit an annotation. The callback function takes in the
+// edited text.
+function promptAnnotation(title, value, callback)
+{
+    let input = $("#inputAnnotate").val(value);
+    function submit() {
+        $("#modalAnnotate").modal("hide");
+        callback(input.val().trim());
+    }
+    $("#modalAnnotateTitle").text(title);
+    $("#btnAnnotate").off("click").click(submit);
+    input.off("keydown").keydown(function (e) {
+        if (e.which == 13) {
+            e.preventDefault();
+            submit();
+        }
+    });
+    $("#modalAnnotate").off("shown.bs.modal")
+        .on("shown.bs.modal", function () { input.focus().select(); })
+        .modal("show");
+}
+
+// Return the operand of the given tag, e.g., "Operand1", of the given line in
+// the node v.
+function getOperand(v, lineAddr, tag)
+{
+    for (let i = 0; i < v.Terms.length; i++) {
+        let terms = v.Terms[i];
+        if (terms.length == 0 || getLineAddr(terms) != lineAddr) continue;
+        for (let j = 1; j < terms.length; j++) {
+            if (terms[j][1] != tag) continue;
+            let s = terms[j][0].trim();
+            // The first operand term starts with the opcode.
+            return j == 1 ? s.substring(s.indexOf(" ") + 1) : s;
+        }
+    }
+    return null;
+}
+
+// Return the instruction at the given address in the graph g.
+function getInstrText(g, addr)
+{
+    let i = findNodeByAddr(g, addr);
+    if (i < 0) return "";
+    let line = getNodeLines(g.Nodes[i]).find(function (terms) {
+        return getLineAddr(terms) == addr;
+    });
+    if (line === undefined) return "";
+    return line.slice(1, line.length - 1)
+        .map(function (t) { return t[0].trim(); }).join(", ");
+}
+
+function defUseLink(addr)
+{
+    return $("<a>", { href: "#", "class": "defUseAddr",
+                      "data-addr": addr, text: hexAddr(addr) });
+}
+
+function drawDefUseList(list, g, addrs, fromEntry)
+{
+    list.empty();
+    addrs.forEach(function (addr) {
+        $("<li>").append(defUseLink(addr))
+            .append(document.createTextNode(" " + getInstrText(g, addr)))
+            .appendTo(list);
+    });
+    if (fromEntry) $("<li>").text("(function entry)").appendTo(list);
+}
+
+// Show the def-use chains of the viewer (vw) in the panel. The chains are of
+// the operand at the instruction address (Addr). See showDefUse.
+function drawDefUsePanel(vw)
+{
+    let defUse = vw.defUse;
+    $("#defUseTitle").text(hexAddr(defUse.Addr) + ": " + defUse.Location);
+    drawDefUseList($("#defUseDefs"), vw.graph, defUse.Defs, defUse.FromEntry);
+    drawDefUseList($("#defUseUses"), vw.graph, defUse.Uses, false);
+    let tbody = $("#defUseReaching tbody").empty();
+    defUse.Reaching.forEach(function (r) {
+        let cell = $("<span>");
+        r.Defs.forEach(function (addr) {
+            cell.append(defUseLink(addr)).append(" ");
+        });
+        if (r.FromEntry) cell.append("(entry)");
+        appendRow(tbody, [r.Location, cell]);
+    });
+    $("#defUsePanel").show();
+}
+
+function clearDefUse(vw)
+{
+    vw.defUse = null;
+    let stage = d3.select(vw.elm);
+    stage.selectAll(".defHighlight").classed("defHighlight", false);
+    stage.selectAll(".useHighlight").classed("useHighlight", false);
+}
+
+// Highlight the instructions that define the value of the operand (tag) of the
+// instruction at addr in the node v of the viewer (vw), and the instructions
+// that use the value.
+function showDefUse(vw, v, addr, tag)
+{
+    let operand = getOperand(v, addr, tag);
+    if (operand === null || operand.length == 0) return;
+    let func = vw.func;
+    let args = func + " " + addr.toString(16) + " " + operand;
+    query("defuse", args, function (json) {
+        if (vw.func != func) return;
+        clearDefUse(vw);
+        vw.defUse = json;
+        json.Addr = addr;
+        vw.renderState.nodeElms.forEach(function (elm, i) {
+            decorateNode(vw, elm, i);
+        });
+        if (vw === activeViewer) drawDefUsePanel(vw);
+    }, function (msg) {
+        clearDefUse(vw);
+        $("#defUseTitle").text(msg);
+        $("#defUseDefs, #defUseUses, #defUseReaching tbody").empty();
+        $("#defUsePanel").show();
+    });
+}
+
+function registerDefUseEvents()
+{
+    $("#defUsePanel .btn-dockclose").click(function () {
+        clearDefUse(activeViewer);
+    });
+    $("#defUsePanel").on("click", ".defUseAddr", function (e) {
+        e.preventDefault();
+        activeViewer.focusOnAddr(parseInt($(this).attr("data-addr")));
+    });
+}
+
+// Fetch the semantics of the instruction at addr. The answers are cached as
+// instructions do not change.
+function fetchInstr(addr, callback, onError)
+{
+    let info = instrInfos.get(addr);
+    if (info !== undefined) return callback(info);
+    query("instr", addr.toString(16), function (json) {
+        instrInfos.set(addr, json);
+        callback(json);
+    }, onError);
+}
+
+function isInspectorShown()
+{
+    return $("#inspectorPanel").is(":visible");
+}
+
+// Build the card of an instruction (info) for the inspector. A pinned card has
+// a button to unpin it instead of the one to pin it.
+function buildInstrCard(info, isPinned)
+{
+    let card = $("<div>", { "class": "instrCard" });
+    let head = $("<div>", { "class": "instrCardHead" }).appendTo(card);
+    $("<a>", { href: "#", "class": "instrAddr", "data-addr": info.Address,
+               text: hexAddr(info.Address) }).appendTo(head);
+    $("<span>").text(" " + info.Disasm).appendTo(head);
+    $("<button>", { type: "button", "class": "close btn-instrpin",
+                    title: isPinned ? "Unpin" : "Pin for comparison" })
+        .append($("<span>", { "class": "glyphicon "
+                              + (isPinned ? "glyphicon-remove"
+                                          : "glyphicon-pushpin") }))
+        .appendTo(head);
+    let table = $("<table>", { "class": "table table-condensed" });
+    appendRow(table, ["Bytes", info.Bytes + " (" + info.Length + ")"]);
+    appendRow(table, ["Opcode", info.Opcode]);
+    info.Operands.forEach(function (o, i) {
+        appendRow(table, ["Operand " + i, o.Text + " (" + o.Kind + ")"]);
+    });
+    appendRow(table, ["Reads", info.Reads.join(", ")]);
+    appendRow(table, ["Writes", info.Writes.join(", ")]);
+    card.append(table);
+    $("<pre>", { "class": "instrIR" }).text(info.Stmts.join("\n"))
+        .appendTo(card);
+    return card;
+}
+
+// Show the instruction (info) in the inspector, followed by the pinned ones.
+function drawInspector(info)
+{
+    inspectedInstr = info;
+    let cards = $("#inspectorCards").empty();
+    if (info !== null) cards.append(buildInstrCard(info, false));
+    pinnedInstrs.forEach(function (p, i) {
+        cards.append(buildInstrCard(p, true).attr("data-pin", i));
+    });
+    $("#inspectorPanel").show();
+}
+
+function inspectInstr(addr)
+{
+    fetchInstr(addr, drawInspector, function (msg) {
+        drawInspector(null);
+        $("<p>", { "class": "text-danger" }).text(msg)
+            .prependTo("#inspectorCards");
+    });
+}
+
+function pinInstr(info)
+{
+    let isPinned = pinnedInstrs.some(function (p) {
+        return p.Address == info.Address;
+    });
+    if (!isPinned) pinnedInstrs.push(info);
+}
+
+// Show the IR of the instruction at addr near the point (x, y) of the page,
+// unless the pointer leaves the instruction before the delay.
+function showInstrTooltip(addr, x, y)
+{
+    if (addr === instrTooltipAddr) return;
+    hideInstrTooltip();
+    instrTooltipAddr = addr;
+    instrTooltipTimer = setTimeout(function () {
+        fetchInstr(addr, function (info) {
+            if (instrTooltipAddr !== addr) return;
+            let tip = $("#instrTooltip").empty();
+            $("<div>", { "class": "instrTooltipHead" })
+                .text(info.Bytes + "  " + info.Disasm).appendTo(tip);
+            $("<pre>").text(info.Stmts.join("\n")).appendTo(tip);
+            tip.show();
+            let maxX = $(window).width() - tip.outerWidth() - 10;
+            let maxY = $(window).height() - tip.outerHeight() - 10;
+            tip.css({ left: Math.max(0, Math.min(x + 12, maxX)),
+                      top: Math.max(0, Math.min(y + 12, maxY)) });
+        });
+    }, instrTooltipDelay);
+}
+
+function hideInstrTooltip()
+{
+    clearTimeout(instrTooltipTimer);
+    instrTooltipAddr = null;
+    $("#instrTooltip").hide();
+}
+
+// The inspector follows the instruction selected in the active viewer. Cards
+// can be pinned to compare several instructions.
+function registerInspectorEvents()
+{
+    $("#btn-inspector").click(function () {
+        $("#inspectorPanel").toggle();
+        let addr = activeViewer.selectedInstrAddr;
+        if (isInspectorShown() && addr !== null) inspectInstr(addr);
+    });
+    $("#inspectorCards").on("click", ".instrAddr", function (e) {
+        e.preventDefault();
+        jumpTo({ func: null, addr: parseInt($(this).attr("data-addr")) });
+    });
+    $("#inspectorCards").on("click", ".btn-instrpin", function () {
+        let card = $(this).closest(".instrCard");
+        if (card.is("[data-pin]"))
+            pinnedInstrs.splice(parseInt(card.attr("data-pin")), 1);
+        else pinInstr(inspectedInstr);
+        drawInspector(inspectedInstr);
+    });
+    $("#inspectorPanel .btn-instrclear").click(function () {
+        pinnedInstrs = [];
+        drawInspector(inspectedInstr);
+    });
+}
+
+// Return the comment of the given line in the node v.
+function getComment(v, lineAddr)
+{
+    for (let i = 0; i < v.Terms.length; i++) {
+        let terms = v.Terms[i];
+        if (terms.length == 0 || isIRLine(terms)) continue;
+        let last = terms[terms.length - 1];
+        if (parseInt(terms[0][0], 16) == lineAddr && last[1] == "Comment")
+            return last[0];
+    }
+    return "";
+}
+
+// Apply a rename, which is either answered to this page or pushed by the
+// server. Applying the same rename twice does nothing.
+function applyRename(oldName, newName)
+{
+    let isKnown = funcRecords.some(function (f) { return f.Name == oldName; })
+        || viewers.some(function (vw) { return vw.func == oldName; });
+    if (!isKnown) return;
+    funcRecords.forEach(function (f) {
+        if (f.Name == oldName) f.Name = newName;
+    });
+    navStack.forEach(function (loc) {
+        if (loc.func == oldName) loc.func = newName;
+    });
+    viewers.forEach(function (vw) {
+        if (vw.func == oldName) {
+            vw.func = newName;
+            setViewerTitle(vw, newName);
+        }
+        if (vw.isCallGraph) loadCallGraph(vw, getViewOf(vw));
+    });
+    if (activeViewer.func == newName)
+        history.replaceState(null, "", viewToHash());
+    filterFunctions();
+}
+
+// Annotations change the analysis state, so the server takes them only in the
+// body of a POST request.
+function renameFunction(addr, name)
+{
+    let body = addr.toString(16) + " " + name;
+    query("rename", "", function (names) {
+        applyRename(names[0], names[1]);
+    }, alert, body);
+}
+
+function setComment(vw, addr, comment)
+{
+    let body = addr.toString(16) + " " + comment;
+    query("comment", "", function (_) {
+        if (vw.func !== null && !vw.isCallGraph) {
+            loadCFG(vw, vw.func, { transform: vw.transform, addr: addr });
+        }
+    }, alert, body);
+}
+
+// Return the current view of the viewer (vw) to restore after reloading it.
+function getViewOf(vw)
+{
+    return { transform: vw.transform, addr: vw.selectedAddr };
+}
+
+// Reload the CFGs that show the address with a different comment.
+function applyComment(addr, comment)
+{
+    viewers.forEach(function (vw) {
+        if (vw.func === null || vw.isCallGraph || vw.graph === null) return;
+        let idx = findNodeByAddr(vw.graph, addr);
+        if (idx < 0 || getComment(vw.graph.Nodes[idx], addr) == comment)
+            return;
+        loadCFG(vw, vw.func, getViewOf(vw));
+    });
+}
+
+// Reload everything that the server has analyzed, keeping the current views.
+function refreshAnalysis()
+{
+    query("functions", "", drawFunctions);
+    query("bininfo", "", drawBinInfo);
+    overview = null;
+    viewers.forEach(function (vw) {
+        if (vw.isCallGraph) loadCallGraph(vw, getViewOf(vw));
+        else if (vw.func !== null) loadCFG(vw, vw.func, getViewOf(vw));
+    });
+}
+
+// Show a command run from the CLI or from another page, and its output in the
+// console.
+function appendCLICommand(lines)
+{
+    appendConsoleLine("CLI> " + lines[0], "consoleCmd");
+    lines.slice(1).forEach(function (l) { appendConsoleLine(l, ""); });
+    scrollConsole();
+}
+
+// Listen to the change events that the server pushes, so that every open page
+// shows the same state. EventSource reconnects by itself, and we refresh
+// everything after reconnecting since we may have missed some events.
+function connectEvents()
+{
+    if (typeof EventSource === "undefined") return;
+    let events = new EventSource("/events");
+    let isLost = false;
+    events.addEventListener("rename", function (e) {
+        let names = JSON.parse(e.data);
+        applyRename(names[0], names[1]);
+    });
+    events.addEventListener("comment", function (e) {
+        let args = JSON.parse(e.data);
+        applyComment(parseInt(args[0], 16), args[1]);
+    });
+    events.addEventListener("cli", function (e) {
+        let lines = JSON.parse(e.data);
+        let idx = sentCommands.indexOf(lines[0]);
+        if (idx >= 0) sentCommands.splice(idx, 1);
+        else appendCLICommand(lines);
+    });
+    events.onerror = function () { isLost = true; };
+    events.onopen = function () {
+        if (isLost) refreshAnalysis();
+        isLost = false;
+    };
+}
+
+// Show the context menu of the i-th node of the viewer (vw) at (x, y). The
+// address of the clicked disassembly line is given as lineAddr, which can be
+// null. Annotations need the server, but regions can be collapsed in offline
+// mode as well. This returns false if there is nothing to show.
+function showContextMenu(vw, i, lineAddr, x, y)
+{
+    let g = vw.graph;
+    let v = g.Nodes[i];
+    let menu = $("#ctxMenu").empty();
+    function addItem(text, fn) {
+        let a = $("<a>", { href: "#", text: text }).click(function (e) {
+            e.preventDefault();
+            menu.hide();
+            fn();
+        });
+        menu.append($("<li>").append(a));
+    }
+    if (isCallGraphRoot(vw, v)) return false;
+    let name = vw.isCallGraph ? v.Terms[0][0][0] : vw.func;
+    if (!isOffline()) {
+        addItem("Rename function", function () {
+            promptAnnotation("Rename function", name, function (text) {
+                renameFunction(v.Address, text);
+            });
+        });
+    }
+    if (!isOffline() && !vw.isCallGraph && lineAddr !== null) {
+        let title = "Comment at " + lineAddr.toString(16);
+        addItem("Comment", function () {
+            promptAnnotation(title, getComment(v, lineAddr), function (text) {
+                setComment(vw, lineAddr, text);
+            });
+        });
+    }
+    if (canCollapse(vw, g)) addCollapseItems(vw, i, addItem);
+    if (menu.children().length == 0) return false;
+    menu.css({ left: x, top: y }).show();
+    return true;
+}
+
+function registerContextMenuEvents()
+{
+    $(document).click(function () { $("#ctxMenu").hide(); });
+    $(document).keydown(function (e) {
+        if (e.which == 27) $("#ctxMenu").hide(); // Escape
+    });
+}
+
+// The entry of a graph is laid out at the top.
+function getTopNode(g)
+{
+    let top = 0;
+    g.Nodes.forEach(function (v, i) {
+        let t = g.Nodes[top].Pos;
+        if (v.Pos.Y < t.Y || (v.Pos.Y == t.Y && v.Pos.X < t.X)) top = i;
+    });
+    return top;
+}
+
+// Move the selection of the active viewer to the leftmost successor (or
+// predecessor) of the selected block. Without a selection, we start from the
+// entry.
+function moveAlongEdges(isForward)
+{
+    let vw = activeViewer;
+    let g = vw.graph;
+    if (g === null || g.Nodes.length == 0) return;
+    let addr = vw.selectedAddr;
+    let cur = addr === null ? -1 : findNodeByAddr(g, addr);
+    if (cur < 0) return vw.stepTo(getTopNode(g));
+    let adj = getAdjacency(g);
+    let nodes = (isForward ? adj.succs : adj.preds)[cur]
+        .map(function (n) { return n.node; })
+        .filter(function (n, k, arr) { return arr.indexOf(n) == k; })
+        .sort(function (a, b) { return g.Nodes[a].Pos.X - g.Nodes[b].Pos.X; });
+    if (nodes.length == 0) return;
+    keyMoves = { graph: g, nodes: nodes, pos: 0 };
+    vw.stepTo(nodes[0]);
+}
+
+// Move the selection among the blocks of the last move, e.g., from the taken
+// branch to the fall-through, as long as the selection has not changed since.
+function moveToSibling(delta)
+{
+    let vw = activeViewer;
+    if (keyMoves === null || keyMoves.graph !== vw.graph) return;
+    let nodes = keyMoves.nodes;
+    if (vw.graph.Nodes[nodes[keyMoves.pos]].Address != vw.selectedAddr) return;
+    keyMoves.pos = (keyMoves.pos + delta + nodes.length) % nodes.length;
+    vw.stepTo(nodes[keyMoves.pos]);
+}
+
+// Enter does what double-clicking the selected node does, except panning.
+function openSelectedNode()
+{
+    let vw = activeViewer;
+    if (vw.selectedAddr === null) return;
+    let v = vw.graph.Nodes[findNodeByAddr(vw.graph, vw.selectedAddr)];
+    if (vw.isCallGraph) {
+        if (!isCallGraphRoot(vw, v)) openFunctionAt(v.Address, false);
+    } else if (v.Members !== undefined) expandRegion(vw, v.Address);
+}
+
+function isTyping(elm)
+{
+    return $(elm).is("input, textarea, select, [contenteditable]");
+}
+
+// The items of the command palette: the functions, the buttons and the menus
+// of the toolbar, the view modes, and the tabs. Hidden buttons and menus are
+// not available, e.g., in offline mode. The go-to mode lists the functions.
+function getPaletteItems(isGoTo)
+{
+    let items = [];
+    let add = function (kind, title, run) {
+        items.push({ kind: kind, title: title, run: run });
+    };
+    let isHidden = function () { return $(this).css("display") == "none"; };
+    funcRecords.forEach(function (f) {
+        add("Function", f.Name, function () {
+            jumpTo({ func: f.Name, addr: null });
+        });
+    });
+    if (isGoTo) return items;
+    $(".btn-viewmode:visible").each(function () {
+        let btn = $(this);
+        add("View", btn.text().trim(), function () { btn.click(); });
+    });
+    viewers.forEach(function (vw) {
+        if (vw === activeViewer) return;
+        let title = vw.title.length > 0 ? vw.title : "(empty)";
+        add("Tab", title, function () { activateViewer(vw); });
+    });
+    $(".navbar-right button[title]:visible").each(function () {
+        let btn = $(this);
+        add("Action", btn.attr("title"), function () { btn.click(); });
+    });
+    $(".navbar-right .dropdown-menu a").each(function () {
+        let a = $(this);
+        if (a.parents("li").is(isHidden)) return;
+        let kind = a.hasClass("analysisToggle") ? "Overlay" : "Action";
+        let title = a.text().replace(/\s+/g, " ").trim();
+        add(kind, title, function () { a.click(); });
+    });
+    add("Action", "New tab", function () {
+        $("#viewerPane" + activeViewer.pane + " .btn-tabadd").click();
+    });
+    add("Action", "Close the tab", function () { closeViewer(activeViewer); });
+    keyBindings.forEach(function (b) {
+        if (b.isAction) add("Action", b.descr + " (" + b.label + ")", b.run);
+    });
+    return items;
+}
+
+function openPalette(isGoTo)
+{
+    isGoToPalette = isGoTo;
+    paletteItems = getPaletteItems(isGoTo);
+    let hint = isGoTo ? "Address (e.g., 0x401000) or function"
+                      : "Function, action or view";
+    $("#paletteInput").val("").attr("placeholder", hint);
+    $("#palette").show();
+    $("#paletteInput").focus();
+    filterPalette();
+}
+
+function closePalette()
+{
+    $("#palette").hide();
+    $("#paletteInput").blur();
+}
+
+// List the items that match the input in the order of their scores. An address
+// (e.g., "0x401000") comes first. In the go-to mode, the prefix is optional.
+function filterPalette()
+{
+    let text = $("#paletteInput").val().trim();
+    let rows = [];
+    let m = /^(0x)?([0-9A-Fa-f]+)$/.exec(text);
+    if (m !== null && (isGoToPalette || m[1] !== undefined)) {
+        let addr = parseInt(m[2], 16);
+        rows.push({ score: Infinity, item: {
+            kind: "Address", title: "Go to " + hexAddr(addr),
+            run: function () { jumpTo({ func: null, addr: addr }); } } });
+    }
+    paletteItems.forEach(function (item) {
+        let score = text.length == 0 ? 0 : fuzzyScore(text, item.title);
+        if (score >= 0) rows.push({ score: score, item: item });
+    });
+    rows.sort(function (a, b) { return b.score - a.score; });
+    paletteRows = rows.slice(0, paletteLimit).map(function (r) {
+        return r.item;
+    });
+    paletteIndex = 0;
+    drawPalette();
+}
+
+function drawPalette()
+{
+    let list = $("#paletteList").empty();
+    paletteRows.forEach(function (item, i) {
+        $("<li>", { "class": "paletteItem", "data-idx": i })
+            .toggleClass("active", i == paletteIndex)
+            .append($("<span>", { "class": "paletteKind", text: item.kind }))
+            .append(document.createTextNode(item.title))
+            .appendTo(list);
+    });
+    let active = list.children(".active").get(0);
+    if (active !== undefined) active.scrollIntoView({ block: "nearest" });
+}
+
+function runPaletteItem(idx)
+{
+    let item = paletteRows[idx];
+    closePalette();
+    if (item !== undefined) item.run();
+}
+
+function drawKeyHelp()
+{
+    let tbody = $("#keyHelp tbody").empty();
+    keyBindings.forEach(function (b) {
+        appendRow(tbody, [$("<kbd>").text(b.label), b.descr]);
+    });
+}
+
+// Keys move the selection along edges, zoom, and open the palette, unless the
+// user types in an input or a dialog is open.
+function registerKeyEvents()
+{
+    let actions = {};
+    keyBindings.forEach(function (b) {
+        b.keys.forEach(function (key) { actions[key] = b.run; });
+    });
+    drawKeyHelp();
+    $(document).keydown(function (e) {
+        if ((e.ctrlKey || e.metaKey) && e.which == 80) { // Ctrl (or Cmd) + P
+            e.preventDefault();
+            openPalette(false);
+            return;
+        }
+        if (e.ctrlKey || e.metaKey || e.altKey || isTyping(e.target)) return;
+        if ($("body").hasClass("modal-open")) return;
+        // Enter on a focused button or link clicks it.
+        if (e.key == "Enter" && $(e.target).is("button, a")) return;
+        let action = actions[e.key];
+        if (action === undefined || activeViewer === null) return;
+        e.preventDefault();
+        action();
+    });
+    $("#paletteInput").on("input", filterPalette);
+    $("#paletteInput").keydown(function (e) {
+        if (e.which == 27) { // Escape
+            closePalette();
+        } else if (e.which == 13) { // Enter
+            e.preventDefault();
+            runPaletteItem(paletteIndex);
+        } else if (e.which == 38 || e.which == 40) { // Up or Down
+            e.preventDefault();
+            let n = paletteRows.length;
+            if (n == 0) return;
+            paletteIndex = (paletteIndex + (e.which == 38 ? n - 1 : 1)) % n;
+            drawPalette();
+        }
+    });
+    $("#paletteInput").blur(function () { $("#palette").hide(); });
+    // Run the item before the input loses the focus.
+    $("#paletteList").on("mousedown", ".paletteItem", function (e) {
+        e.preventDefault();
+        runPaletteItem(parseInt($(this).attr("data-idx")));
+    });
+}
+
+// Show the view mode of the active viewer in the toolbar.
+function setViewMode(mode)
+{
+    activeViewer.mode = mode;
+    $(".btn-viewmode").removeClass("active");
+    $(".btn-viewmode[data-mode='" + mode + "']").addClass("active");
+}
+
+function registerViewModeEvents()
+{
+    $(".btn-viewmode").click(function () {
+        let vw = activeViewer;
+        let mode = $(this).attr("data-mode");
+        if (mode == vw.mode) return;
+        setViewMode(mode);
+        // The graphs of the two modes have different layouts, so we keep the
+        // transform only when there is no selected node to show.
+        if (vw.func !== null) {
+            let addr = vw.selectedAddr;
+            let t = addr === null ? vw.transform : null;
+            loadCFG(vw, vw.func, { transform: t, addr: addr });
+        }
+    });
+}
+
+// The URL hash shows the view of the active viewer.
+function viewToHash()
+{
+    let vw = activeViewer;
+    let params = [];
+    if (vw.isCallGraph) params.push("callgraph");
+    else if (vw.func !== null)
+        params.push("func=" + encodeURIComponent(vw.func));
+    else return "";
+    let addr = vw.selectedInstrAddr !== null ? vw.selectedInstrAddr
+        : vw.selectedAddr;
+    if (addr !== null) params.push("addr=" + addr.toString(16));
+    if (vw.mode != "disasm") params.push("mode=" + vw.mode);
+    if (vw.transform !== null) {
+        let t = vw.transform;
+        let nums = [t.x, t.y, t.k].map(function (n) { return +n.toFixed(3); });
+        params.push("zoom=" + nums.join(","));
+    }
+    return "#" + params.join("&");
+}
+
+// Parse the URL hash made by viewToHash.
+function hashToView(hash)
+{
+    let view = { func: null, isCallGraph: false, addr: null,
+                 mode: "disasm", transform: null };
+    hash.replace(/^#/, "").split("&").forEach(function (param) {
+        let idx = param.indexOf("=");
+        let key = idx < 0 ? param : param.substring(0, idx);
+        let value = idx < 0 ? "" : decodeURIComponent(param.substring(idx + 1));
+        if (key == "callgraph") {
+            view.isCallGraph = true;
+        } else if (key == "func") {
+            view.func = value;
+        } else if (key == "addr") {
+            let addr = parseInt(value, 16);
+            if (!isNaN(addr)) view.addr = addr;
+        } else if (key == "mode") {
+            view.mode = value == "ir" ? "ir" : "disasm";
+        } else if (key == "zoom") {
+            let nums = value.split(",").map(Number);
+            if (nums.length == 3 && nums.every(isFinite))
+                view.transform = { x: nums[0], y: nums[1], k: nums[2] };
+        }
+    });
+    return view;
+}
+
+// Record the current view in the URL hash. Moving to another graph makes a
+// new history entry, while zooming and selecting replace the current one. A
+// new entry is also made when isNewEntry is true, e.g., for jumps.
+function updateHash(isNewEntry)
+{
+    if (isOffline()) return;
+    clearTimeout(hashTimer);
+    let hash = viewToHash();
+    if (hash == window.location.hash) return;
+    let prev = hashToView(window.location.hash);
+    let vw = activeViewer;
+    let isMoved = prev.func !== vw.func || prev.isCallGraph != vw.isCallGraph
+        || prev.mode != vw.mode;
+    if (isNewEntry === true || isMoved) history.pushState(null, "", hash);
+    else history.replaceState(null, "", hash);
+}
+
+function scheduleHashUpdate()
+{
+    if (isOffline()) return;
+    clearTimeout(hashTimer);
+    hashTimer = setTimeout(function () { updateHash(false); }, hashDelay);
+}
+
+// Show the view in the URL hash, if any, in the active viewer.
+function restoreHash()
+{
+    let view = hashToView(window.location.hash);
+    if (view.func === null && !view.isCallGraph) return;
+    setViewMode(view.mode);
+    let v = { transform: view.transform, addr: view.addr };
+    if (view.isCallGraph) loadCallGraph(activeViewer, v);
+    else loadCFG(activeViewer, view.func, v);
+}
+
+// Browser back and forward buttons move through the views in the history.
+function registerHashEvents()
+{
+    window.addEventListener("popstate", function () {
+        clearTimeout(hashTimer);
+        restoreHash();
+    });
+    restoreHash();
+}
+
+// Run in online mode (this is the default).
+function runOnline()
+{
+    registerViewerEvents();
+    registerRefreshEvents();
+    registerFuncTableEvents();
+    registerViewModeEvents();
+    registerNavEvents();
+    registerHexViewEvents();
+    registerConsoleEvents();
+    registerDockEvents();
+    registerContextMenuEvents();
+    registerCoverageEvents();
+    registerAnalysisEvents();
+    registerDefUseEvents();
+    registerInspectorEvents();
+    registerKeyEvents();
+    registerDiffEvents();
+    registerPathEvents();
+    registerROPEvents();
+    registerSearchEvents();
+    registerOverviewEvents();
+    $("#btn-callgraph").click(function () { loadCallGraph(activeViewer); });
+    query("functions", "", drawFunctions);
+    query("bininfo", "", drawBinInfo);
+    connectEvents();
+    registerHashEvents();
+}
+
+// Fit the panes and their viewers to the area (dim) of the CFG view. A viewer
+// keeps the scale of its graph until the graph is drawn again.
+function layoutViewers(dim)
+{
+    let width = isSplit ? (dim.width - paneGap) / 2 : dim.width;
+    $("#viewerPane1").toggle(isSplit).css("margin-left", paneGap + "px");
+    $(".viewerPane").css("width", width + "px");
+    let height = dim.height - $("#viewerPane0 .viewerTabs").outerHeight(true);
+    viewers.forEach(function (vw) {
+        vw.dims = {
+            cfgVPDim: { width: width, height: height },
+            minimapVPDim: {
+                width: width * minimapRatio,
+                height: height * minimapRatio
+            }
+        };
+        d3.select(vw.elm).select("svg.cfg")
+            .attr("width", width)
+            .attr("height", height);
+        d3.select(vw.elm).select("svg.minimap")
+            .attr("width", vw.dims.minimapVPDim.width)
+            .attr("height", vw.dims.minimapVPDim.height);
+    });
+}
+
+function reloadUI()
+{
+    let cfgVPDim = {
+        width: document.getElementById("cfgDiv").getBoundingClientRect().width
+            - parseInt($("#cfgDiv").css("padding-right"))
+            - rightMargin,
+        height: $(window).height() - bottomMargin
+            - document.getElementById("uiTitle").getBoundingClientRect().height
+            - document.getElementById("uiHeader").getBoundingClientRect().height
+    };
 
-    $("#funcSelector")
-        .attr("style", "height: " + cfgVPDim.height + "px");
+    layoutViewers(cfgVPDim);
 
-    return { cfgVPDim: cfgVPDim, minimapVPDim: minimapVPDim };
+    let searchBox = document.getElementById("funcSearchGrp");
+    let tableHead = document.getElementById("funcTableHead");
+    $("#funcTable").css("height", cfgVPDim.height
+        - searchBox.getBoundingClientRect().height
+        - tableHead.getBoundingClientRect().height);
+    renderFuncTable();
 }
 
 function main()
 {
-    let dims = reloadUI();
+    initDefs();
+    initEvents();
+    activateViewer(createViewer(0));
     $(window).resize(function() { reloadUI(); });
 
-    if (window.location.protocol == "file:")
-        return runOffline(dims);
+    if (isOffline())
+        return runOffline();
     else
-        return runOnline(dims);
+        return runOnline();
 }
 
 if (typeof window === 'undefined') { // For Node.js
@@ -0,0 +1,711 @@
+/*
+  B2R2 - the Next-Generation Reversing Platform
+
+  Author: Sang Kil Cha <sangkilc@kaist.ac.kr>
+          Soomin Kim <soomink@kaist.ac.kr>
+
+  Copyright (c) SoftSec Lab. @ KAIST, since 2016
+
+  Permission is hereby granted, free of charge, to any person obtaining a copy
+  of this software and associated documentation files (the "Software"), to deal
+  in the Software without restriction, including without limitation the rights
+  to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+  copies of the Software, and to permit persons to whom the Software is
+  furnished to do so, subject to the following conditions:
+
+  The above copyright notice and this permission notice shall be included in all
+  copies or substantial portions of the Software.
+
+  THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+  IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+  FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+  AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+  LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+  OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+  SOFTWARE.
+*/
+
+// A graph layout engine, which follows the same stages as the Visualization
+// module of B2R2: cycle removal, layer assignment, crossing minimization,
+// coordinate assignment, and edge drawing. The result has the same form as the
+// visualized graphs from the server.
+
+// The horizontal interval of two consecutive blocks.
+var layoutIntervalX = 50;
+
+// The vertical interval of two consecutive blocks.
+var layoutIntervalY = 100;
+
+// The offsets between the end points of two adjacent edges.
+var layoutEdgeOffsetX = 4;
+var layoutEdgeOffsetY = 4;
+
+// The length of the last segment of an edge. This should be less than the half
+// of layoutIntervalY.
+var layoutLastSegLen = 20;
+
+// The maximum number of sweeps of the crossing minimization.
+var layoutMaxSweeps = 128;
+
+// The padding of a node, and the width and the height of a character. These
+// are the same as the ones of the server.
+var layoutPadding = 4;
+var layoutCharWidth = 7.5;
+var layoutLineHeight = 14;
+
+function newLayoutGraph()
+{
+    return { vertices: [], edges: new Map(), root: null };
+}
+
+function addLayoutVertex(g, node, width, height, isDummy)
+{
+    let v = { id: g.vertices.length, node: node, width: width,
+              height: height, isDummy: isDummy, layer: 0, pos: 0, x: 0, y: 0,
+              preds: [], succs: [] };
+    g.vertices.push(v);
+    return v;
+}
+
+function layoutEdgeKey(src, dst)
+{
+    return src.id + "," + dst.id;
+}
+
+function findLayoutEdge(g, src, dst)
+{
+    return g.edges.get(layoutEdgeKey(src, dst));
+}
+
+function addLayoutEdge(g, src, dst, data)
+{
+    let key = layoutEdgeKey(src, dst);
+    let entry = { src: src, dst: dst, data: data, isReversed: false };
+    if (!g.edges.has(key)) {
+        src.succs.push(dst);
+        dst.preds.push(src);
+    }
+    g.edges.set(key, entry);
+    return entry;
+}
+
+function removeLayoutEdge(g, src, dst)
+{
+    g.edges.delete(layoutEdgeKey(src, dst));
+    src.succs.splice(src.succs.indexOf(dst), 1);
+    dst.preds.splice(dst.preds.indexOf(src), 1);
+}
+
+function compareNumbers(a, b)
+{
+    return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+function byLayoutPos(v, w)
+{
+    return v.pos - w.pos;
+}
+
+// Number each vertex in the reverse post-order of a depth-first search from the
+// root. Vertices that are not reachable from the root are visited afterwards.
+function getDFSOrder(g)
+{
+    let order = new Map();
+    let cnt = g.vertices.length - 1;
+    [g.root].concat(g.vertices).forEach(function (s) {
+        if (s.visited) return;
+        s.visited = true;
+        let stack = [{ v: s, i: 0 }];
+        while (stack.length > 0) {
+            let top = stack[stack.length - 1];
+            if (top.i < top.v.succs.length) {
+                let w = top.v.succs[top.i++];
+                if (w.visited) continue;
+                w.visited = true;
+                stack.push({ v: w, i: 0 });
+            } else {
+                order.set(top.v, cnt--);
+                stack.pop();
+            }
+        }
+    });
+    g.vertices.forEach(function (v) { delete v.visited; });
+    return order;
+}
+
+// Make the graph acyclic. Self cycles, and back edges whose opposite edges
+// exist, are removed. Other back edges are reversed. This returns the removed
+// edges.
+function removeCycles(g)
+{
+    let removed = [];
+    Array.from(g.edges.values()).forEach(function (e) {
+        if (e.src !== e.dst) return;
+        e.data.IsBackEdge = true;
+        removeLayoutEdge(g, e.src, e.dst);
+        removed.push(e);
+    });
+    let order = getDFSOrder(g);
+    Array.from(g.edges.values()).forEach(function (e) {
+        if (order.get(e.src) <= order.get(e.dst)) return;
+        e.data.IsBackEdge = true;
+        removeLayoutEdge(g, e.src, e.dst);
+        if (findLayoutEdge(g, e.dst, e.src) !== undefined) removed.push(e);
+        else addLayoutEdge(g, e.dst, e.src, e.data).isReversed = true;
+    });
+    return removed;
+}
+
+// Assign a layer to each vertex in a topological order: a vertex is placed
+// right below the lowest one of its predecessors.
+function assignLayers(g)
+{
+    let degrees = new Map();
+    let queue = [];
+    g.vertices.forEach(function (v) {
+        v.layer = 0;
+        degrees.set(v, v.preds.length);
+        if (v.preds.length == 0) queue.push(v);
+    });
+    for (let i = 0; i < queue.length; i++) {
+        let v = queue[i];
+        v.succs.forEach(function (w) {
+            w.layer = Math.max(w.layer, v.layer + 1);
+            degrees.set(w, degrees.get(w) - 1);
+            if (degrees.get(w) == 0) queue.push(w);
+        });
+    }
+}
+
+// Split each edge that spans more than one layer by adding a dummy vertex to
+// every layer in between. This returns the route of each edge, which is the
+// list of the vertices that the edge goes through in its original direction.
+function addDummies(g, removed)
+{
+    let routes = removed.map(function (e) {
+        return { data: e.data, path: [e.src, e.dst] };
+    });
+    Array.from(g.edges.values()).forEach(function (e) {
+        let path = [e.src];
+        for (let layer = e.src.layer + 1; layer < e.dst.layer; layer++) {
+            let dummy = addLayoutVertex(g, null, 0, 0, true);
+            dummy.layer = layer;
+            path.push(dummy);
+        }
+        path.push(e.dst);
+        if (path.length > 2) {
+            removeLayoutEdge(g, e.src, e.dst);
+            for (let i = 1; i < path.length; i++)
+                addLayoutEdge(g, path[i - 1], path[i], e.data);
+        }
+        if (e.isReversed) path.reverse();
+        routes.push({ data: e.data, path: path });
+    });
+    return routes;
+}
+
+// Group the vertices by their layers. Each layer is initially ordered by a
+// breadth-first search from the root.
+function getLayerLayout(g)
+{
+    let vLayout = [];
+    let visited = new Set();
+    [g.root].concat(g.vertices).forEach(function (s) {
+        if (visited.has(s)) return;
+        let queue = [s];
+        visited.add(s);
+        for (let i = 0; i < queue.length; i++) {
+            let v = queue[i];
+            while (vLayout.length <= v.layer) vLayout.push([]);
+            vLayout[v.layer].unshift(v);
+            v.succs.forEach(function (w) {
+                if (visited.has(w)) return;
+                visited.add(w);
+                queue.push(w);
+            });
+        }
+    });
+    vLayout.forEach(function (vertices) {
+        vertices.forEach(function (v, i) { v.pos = i; });
+    });
+    return vLayout;
+}
+
+function setLayerOrder(vLayout, layer, vertices)
+{
+    vertices.forEach(function (v, i) { v.pos = i; });
+    vLayout[layer] = vertices;
+}
+
+// The barycenter of a vertex is the average position of its neighbors in the
+// upper (isDown) or the lower layer. Vertices without such neighbors go last.
+function getBaryCenter(v, isDown)
+{
+    let ws = isDown ? v.preds : v.succs;
+    if (ws.length == 0) return Infinity;
+    let sum = ws.reduce(function (acc, w) { return acc + w.pos; }, 0);
+    return sum / ws.length;
+}
+
+function reorderByBaryCenters(vLayout, isDown, from, maxLayer)
+{
+    for (let i = 0; isDown ? from + i <= maxLayer : from - i >= 0; i++) {
+        let layer = isDown ? from + i : from - i;
+        let bcs = vLayout[layer].map(function (v) {
+            return { bc: getBaryCenter(v, isDown), v: v };
+        });
+        bcs.sort(function (a, b) { return compareNumbers(a.bc, b.bc); });
+        setLayerOrder(vLayout, layer, bcs.map(function (p) { return p.v; }));
+    }
+}
+
+// Count the crossings between two layers with an accumulator tree.
+function countCrosses(southSeq, southLen)
+{
+    let firstIndex = 1;
+    while (firstIndex < southLen) firstIndex *= 2;
+    let tree = new Array(2 * firstIndex - 1).fill(0);
+    let cnt = 0;
+    southSeq.forEach(function (item) {
+        let index = firstIndex - 1 + item;
+        tree[index]++;
+        while (index > 0) {
+            if (index % 2 != 0) cnt += tree[index + 1];
+            index = (index - 1) >> 1;
+            tree[index]++;
+        }
+    });
+    return cnt;
+}
+
+function countLayerCrosses(vLayout, isDown, layer)
+{
+    let others = isDown ? vLayout[layer - 1] : vLayout[layer + 1];
+    let pairs = [];
+    others.forEach(function (v, i) {
+        (isDown ? v.succs : v.preds).forEach(function (w) {
+            pairs.push([i, w.pos]);
+        });
+    });
+    pairs.sort(function (a, b) { return a[0] - b[0] || a[1] - b[1]; });
+    let southSeq = pairs.map(function (p) { return p[1]; });
+    return countCrosses(southSeq, vLayout[layer].length);
+}
+
+// Reorder each layer that has crossings by the barycenters, where the vertices
+// of the same barycenter are reversed. If there were such vertices, the
+// following layers are reordered again.
+function reverseTies(vLayout, isDown, maxLayer)
+{
+    let from = isDown ? 1 : maxLayer - 1;
+    for (let i = 0; isDown ? from + i <= maxLayer : from - i >= 0; i++) {
+        let layer = isDown ? from + i : from - i;
+        if (countLayerCrosses(vLayout, isDown, layer) == 0) continue;
+        let groups = new Map();
+        vLayout[layer].forEach(function (v) {
+            let bc = getBaryCenter(v, isDown);
+            if (!groups.has(bc)) groups.set(bc, []);
+            groups.get(bc).unshift(v);
+        });
+        let bcs = Array.from(groups.keys()).sort(compareNumbers);
+        let hasTies = false;
+        let vertices = [];
+        bcs.forEach(function (bc) {
+            let vs = groups.get(bc);
+            if (vs.length > 1) hasTies = true;
+            vertices = vertices.concat(vs);
+        });
+        setLayerOrder(vLayout, layer, vertices);
+        if (hasTies) reorderByBaryCenters(vLayout, isDown, layer, maxLayer);
+    }
+}
+
+function getLayoutSignature(vLayout)
+{
+    return vLayout.map(function (vertices) {
+        return vertices.map(function (v) { return v.id; }).join(",");
+    }).join(";");
+}
+
+// Order the vertices of each layer to reduce edge crossings with the Sugiyama
+// method. This stops when the order does not change anymore. The position of
+// each vertex is its index in its layer.
+function minimizeCrosses(g)
+{
+    let vLayout = getLayerLayout(g);
+    let maxLayer = vLayout.length - 1;
+    let seen = new Set([getLayoutSignature(vLayout)]);
+    for (let i = 0; i < layoutMaxSweeps; i++) {
+        reorderByBaryCenters(vLayout, true, 1, maxLayer);
+        reorderByBaryCenters(vLayout, false, maxLayer - 1, maxLayer);
+        reverseTies(vLayout, false, maxLayer);
+        reverseTies(vLayout, true, maxLayer);
+        let signature = getLayoutSignature(vLayout);
+        if (seen.has(signature)) break;
+        seen.add(signature);
+    }
+    return vLayout;
+}
+
+// An inner segment is an edge between two dummy vertices.
+function getInnerPred(v)
+{
+    if (!v.isDummy) return null;
+    let u = v.preds.find(function (w) { return w.isDummy; });
+    return u === undefined ? null : u;
+}
+
+// Find the (type 1) conflicts, which are non-inner segments that cross inner
+// segments. A conflict is keyed by its upper and lower vertices.
+function findConflicts(vLayout)
+{
+    let conflicts = new Set();
+    for (let layer = 1; layer < vLayout.length; layer++) {
+        let vertices = vLayout[layer];
+        let v0 = -1, u0 = -1;
+        vertices.forEach(function (v, i) {
+            let inner = getInnerPred(v);
+            if (inner === null && i < vertices.length - 1) return;
+            let u1 = inner !== null ? inner.pos : vLayout[layer - 1].length;
+            vertices.slice(0, i + 1).forEach(function (w) {
+                w.preds.forEach(function (u) {
+                    if ((w.pos < v0 && u0 < u.pos)
+                        || (v0 <= w.pos && (u.pos < u0 || u1 < u.pos)))
+                        conflicts.add(layoutEdgeKey(u, w));
+                });
+            });
+            v0 = v.pos;
+            u0 = u1;
+        });
+    }
+    return conflicts;
+}
+
+// Align each vertex with the median of its upper (isTop) or lower neighbors to
+// form blocks. Each block is a cycle of the align map, and every vertex maps to
+// the top vertex of its block in the root map.
+function alignVertices(g, vLayout, conflicts, isTop, isLeft)
+{
+    let root = new Map(), align = new Map();
+    g.vertices.forEach(function (v) { root.set(v, v); align.set(v, v); });
+    let maxLayer = vLayout.length - 1;
+    for (let i = 1; i <= maxLayer; i++) {
+        let layer = isTop ? i : maxLayer - i;
+        let vertices = vLayout[layer].slice();
+        if (!isLeft) vertices.reverse();
+        let r = isLeft ? -Infinity : Infinity;
+        vertices.forEach(function (v) {
+            let vs = (isTop ? v.preds : v.succs).slice().sort(byLayoutPos);
+            if (vs.length == 0) return;
+            let lowMid = Math.floor((vs.length - 1) / 2);
+            let highMid = Math.ceil((vs.length - 1) / 2);
+            let medians = [ vs[lowMid] ];
+            if (lowMid != highMid) {
+                if (isLeft) medians.push(vs[highMid]);
+                else medians.unshift(vs[highMid]);
+            }
+            medians.forEach(function (um) {
+                let key = isTop ? layoutEdgeKey(um, v) : layoutEdgeKey(v, um);
+                if (align.get(v) !== v || conflicts.has(key)) return;
+                if (isLeft ? r >= um.pos : r <= um.pos) return;
+                align.set(um, v);
+                root.set(v, root.get(um));
+                align.set(v, root.get(v));
+                r = um.pos;
+            });
+        });
+    }
+    return { root: root, align: align };
+}
+
+// Place the blocks as close as possible to the left (isLeft) or the right.
+function compactBlocks(g, vLayout, root, align, isLeft)
+{
+    let sink = new Map(), shift = new Map(), xs = new Map();
+    g.vertices.forEach(function (v) {
+        sink.set(v, v);
+        shift.set(v, isLeft ? Infinity : -Infinity);
+    });
+    let placeBlock = function (v) {
+        if (xs.has(v)) return;
+        xs.set(v, 0);
+        let w = v;
+        do {
+            let vertices = vLayout[w.layer];
+            let n = vertices[isLeft ? w.pos - 1 : w.pos + 1];
+            if (n !== undefined) {
+                let u = root.get(n);
+                placeBlock(u);
+                if (sink.get(v) === v) sink.set(v, sink.get(u));
+                if (sink.get(v) !== sink.get(u)) {
+                    let s = sink.get(u);
+                    let d = xs.get(v) - xs.get(u);
+                    shift.set(s, isLeft
+                              ? Math.min(shift.get(s), d - layoutIntervalX)
+                              : Math.max(shift.get(s), d + layoutIntervalX));
+                } else {
+                    let d = (n.width + w.width) / 2 + layoutIntervalX;
+                    xs.set(v, isLeft ? Math.max(xs.get(v), xs.get(u) + d)
+                                     : Math.min(xs.get(v), xs.get(u) - d));
+                }
+            }
+            w = align.get(w);
+        } while (w !== v);
+    };
+    g.vertices.forEach(function (v) { if (root.get(v) === v) placeBlock(v); });
+    let result = new Map();
+    g.vertices.forEach(function (v) {
+        let r = root.get(v);
+        let s = shift.get(sink.get(r));
+        result.set(v, xs.get(r) + (isFinite(s) ? s : 0));
+    });
+    return result;
+}
+
+// Assign the x coordinates with the Brandes-Koepf method: the four alignments
+// (upper/lower and left/right) are aligned to the narrowest one, and each
+// vertex takes the average median of its four coordinates.
+function assignXCoordinates(g, vLayout)
+{
+    let conflicts = findConflicts(vLayout);
+    let alignments = [];
+    [true, false].forEach(function (isTop) {
+        [true, false].forEach(function (isLeft) {
+            let blocks = alignVertices(g, vLayout, conflicts, isTop, isLeft);
+            let xs = compactBlocks(g, vLayout, blocks.root, blocks.align,
+                                   isLeft);
+            let min = Infinity, max = -Infinity;
+            xs.forEach(function (x) {
+                min = Math.min(min, x);
+                max = Math.max(max, x);
+            });
+            alignments.push({ xs: xs, isLeft: isLeft, min: min, max: max });
+        });
+    });
+    let narrowest = alignments.reduce(function (acc, a) {
+        return a.max - a.min < acc.max - acc.min ? a : acc;
+    });
+    g.vertices.forEach(function (v) {
+        let xs = alignments.map(function (a) {
+            let delta = a.isLeft ? narrowest.min - a.min
+                                 : narrowest.max - a.max;
+            return a.xs.get(v) + delta;
+        }).sort(compareNumbers);
+        v.x = (xs[1] + xs[2]) / 2;
+    });
+}
+
+function assignYCoordinates(vLayout)
+{
+    let y = 0;
+    vLayout.forEach(function (vertices) {
+        let maxHeight = 0;
+        vertices.forEach(function (v) {
+            v.y = y;
+            maxHeight = Math.max(maxHeight, v.height);
+        });
+        y += maxHeight + layoutIntervalY;
+    });
+}
+
+// Assign the coordinates of the top-left corner of each vertex, where the
+// graph is horizontally centered at zero.
+function assignCoordinates(g, vLayout)
+{
+    assignXCoordinates(g, vLayout);
+    assignYCoordinates(vLayout);
+    let left = Infinity, right = -Infinity;
+    g.vertices.forEach(function (v) {
+        v.x -= v.width / 2;
+        if (v.isDummy) return;
+        left = Math.min(left, v.x);
+        right = Math.max(right, v.x + v.width);
+    });
+    let center = (left + right) / 2;
+    g.vertices.forEach(function (v) { v.x -= center; });
+}
+
+// Compute the offsets of the end points of the edges to (isPred) or from the
+// given vertex, so that adjacent edges do not overlap.
+function computeEndOffsets(v, isPred, offsets)
+{
+    let ws = (isPred ? v.preds : v.succs).slice().sort(byLayoutPos);
+    let n = ws.length;
+    ws.forEach(function (w, i) {
+        let x = (i - (n - 1) / 2) * layoutEdgeOffsetX;
+        let y = layoutLastSegLen;
+        if (w.x < v.x) y += i * layoutEdgeOffsetY;
+        else if (w.x > v.x) y += (n - i - 1) * layoutEdgeOffsetY;
+        let key = isPred ? layoutEdgeKey(w, v) : layoutEdgeKey(v, w);
+        offsets.set(key, { x: x, y: y });
+    });
+}
+
+// Draw the segment from p to c. The first two points are where the segment
+// leaves p. An upward segment from a real vertex goes around the side.
+function drawSegment(hPerLayer, p, pOff, c, cOff)
+{
+    let pX = p.x + p.width / 2, pY = p.y + p.height;
+    let cX = c.x + c.width / 2, cY = c.y;
+    let x = pX + pOff.x;
+    let points = [[x, pY], [x, pY + pOff.y]];
+    if (p.isDummy && pY < cY) {
+        points.push([x, pY - pOff.y]);
+        points.push([x, pY + hPerLayer[p.layer] + pOff.y]);
+    }
+    if (pY > cY && !p.isDummy) {
+        let xEnd = pX < cX
+            ? Math.max(x + p.width / 2, cX + cOff.x + c.width / 2)
+            : Math.min(x - p.width / 2, cX + cOff.x - c.width / 2);
+        points.push([xEnd, points[points.length - 1][1]]);
+        points.push([xEnd, cY - cOff.y]);
+    }
+    if (!c.isDummy) {
+        if (pY > cY) points.push([points[points.length - 1][0], cY - cOff.y]);
+        points.push([cX + cOff.x, cY - cOff.y]);
+        points.push([cX + cOff.x, cY]);
+    }
+    return points;
+}
+
+// Draw each edge along its route. The edges are restored to their original
+// directions first, and the segments through dummy vertices are joined.
+function drawEdges(g, vLayout, routes)
+{
+    let hPerLayer = vLayout.map(function (vertices) {
+        return vertices.reduce(function (acc, v) {
+            return Math.max(acc, v.height);
+        }, 0);
+    });
+    g.vertices.forEach(function (v) { v.preds = []; v.succs = []; });
+    routes.forEach(function (route) {
+        for (let i = 1; i < route.path.length; i++) {
+            route.path[i - 1].succs.push(route.path[i]);
+            route.path[i].preds.push(route.path[i - 1]);
+        }
+    });
+    let predOffsets = new Map(), succOffsets = new Map();
+    g.vertices.forEach(function (v) {
+        computeEndOffsets(v, true, predOffsets);
+        computeEndOffsets(v, false, succOffsets);
+    });
+    return routes.map(function (route) {
+        let points = [];
+        for (let i = 1; i < route.path.length; i++) {
+            let p = route.path[i - 1], c = route.path[i];
+            let key = layoutEdgeKey(p, c);
+            let seg = drawSegment(hPerLayer, p, succOffsets.get(key),
+                                  c, predOffsets.get(key));
+            points = points.concat(i == 1 ? seg : seg.slice(2));
+        }
+        return {
+            Type: route.data.Type, From: route.data.From, To: route.data.To,
+            Points: points.map(function (pt) {
+                return { X: pt[0], Y: pt[1] };
+            }),
+            IsBackEdge: route.data.IsBackEdge
+        };
+    });
+}
+
+// Compute the size of a node that has the given number of lines, where the
+// longest line has maxLength characters.
+function getTextNodeSize(maxLength, lines)
+{
+    return {
+        Width: maxLength * layoutCharWidth + layoutPadding * 2,
+        Height: lines * layoutLineHeight + 4 + layoutPadding * 2
+    };
+}
+
+// Lay out a graph. Each node has an Address, Terms, and its Width and Height,
+// and each edge has its Type and the addresses of its end nodes (From and To).
+// This returns a graph of the same form as the visualized graphs from the
+// server.
+function layoutGraph(nodes, edges, rootAddr)
+{
+    let g = newLayoutGraph();
+    let vMap = new Map();
+    nodes.forEach(function (n) {
+        let v = addLayoutVertex(g, n, n.Width, n.Height, false);
+        if (!vMap.has(n.Address)) vMap.set(n.Address, v);
+    });
+    if (g.vertices.length == 0) return { Nodes: [], Edges: [] };
+    g.root = vMap.has(rootAddr) ? vMap.get(rootAddr) : g.vertices[0];
+    edges.forEach(function (e) {
+        let src = vMap.get(e.From), dst = vMap.get(e.To);
+        if (src === undefined || dst === undefined) return;
+        addLayoutEdge(g, src, dst, { Type: e.Type, From: e.From, To: e.To,
+                                     IsBackEdge: false });
+    });
+    let removed = removeCycles(g);
+    assignLayers(g);
+    let routes = addDummies(g, removed);
+    let vLayout = minimizeCrosses(g);
+    assignCoordinates(g, vLayout);
+    let oEdges = drawEdges(g, vLayout, routes);
+    // Other properties of the nodes are kept as they are.
+    let oNodes = g.vertices.filter(function (v) {
+        return !v.isDummy;
+    }).map(function (v) {
+        return Object.assign({}, v.node, { Pos: { X: v.x, Y: v.y } });
+    });
+    return { Nodes: oNodes, Edges: oEdges };
+}
+
+// Split a disassembled instruction into the terms of a node line: the address,
+// the operands (where the first one includes the opcode), and the comment.
+function disasmToTerms(disasm, comment)
+{
+    let frags = disasm.split(" ").filter(function (s) {
+        return s.length > 0;
+    });
+    let terms = [ [frags.length > 0 ? frags[0] : "", "Mnemonic"] ];
+    if (frags.length > 1) {
+        let operands = frags.slice(1).join(" ").split(",");
+        if (operands.length > 3) return [];
+        operands.forEach(function (s, i) { terms.push([s, "Operand" + i]); });
+    }
+    terms.push([comment, "Comment"]);
+    return terms;
+}
+
+// Make a node from the disassembly lines ({ Disasm, Comment }) of a block.
+function disasmToNode(addr, lines)
+{
+    let maxLength = lines.reduce(function (acc, l) {
+        return Math.max(acc, l.Disasm.length + l.Comment.length);
+    }, 0);
+    let terms = lines.map(function (l) {
+        return disasmToTerms(l.Disasm, l.Comment);
+    });
+    return Object.assign({ Address: addr, Terms: terms },
+                         getTextNodeSize(maxLength, lines.length));
+}
+
+// Lay out a graph of the input format of the Visualization module, which
+// --loadjson takes.
+function layoutInputGraph(json)
+{
+    let nodes = json.Nodes.map(function (n) {
+        return disasmToNode(n.Address, n.Disassembly);
+    });
+    return layoutGraph(nodes, json.Edges, json.Root);
+}
+
+// Lay out a raw disassembly CFG of a --jsondir dump (.disasmCFG), where nodes
+// and edges are keyed by hexadecimal addresses.
+function layoutDisasmCFG(json)
+{
+    let nodes = Object.keys(json.nodes).map(function (key) {
+        let lines = json.nodes[key].instrs.map(function (ins) {
+            return { Disasm: ins.disasm, Comment: "" };
+        });
+        return disasmToNode(parseInt(key, 16), lines);
+    });
+    let edges = json.edges.map(function (e) {
+        return { From: parseInt(e.from, 16), To: parseInt(e.to, 16),
+                 Type: e.type.replace(/^cfg/, "") };
+    });
+    return layoutGraph(nodes, edges, parseInt(json.root, 16));
+}
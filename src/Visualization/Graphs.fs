@@ -56,9 +56,88 @@ type Tag =
   | Operand1
   | Operand2
   | Comment
+  (* Tags for LowUIR statements. *)
+  | IRMark
+  | IRKeyword
+  | IRVar
+  | IRTempVar
+  | IRValue
+  | IRLabel
+  | IROp
 
 type Term = string * Tag
 
+/// Split a LowUIR statement into tagged terms. The text of the terms is the one
+/// of Pp.stmtToString, which we split only around the variables, the values and
+/// the labels, so that the IR view matches the IR dumps.
+module internal IRTerms =
+  open System
+  open B2R2.BinIR.LowUIR
+
+  (* The variables, the values and the labels of an expression in the order
+     that Pp prints them. *)
+  let rec private collectLeaves acc expr =
+    match expr with
+    | Num _ -> (expr, IRValue) :: acc
+    | Var _ | PCVar _ -> (expr, IRVar) :: acc
+    | TempVar _ -> (expr, IRTempVar) :: acc
+    | Name _ | FuncName _ -> (expr, IRLabel) :: acc
+    | UnOp (_, e, _, _) | Load (_, _, e, _, _) | Cast (_, _, e, _, _)
+    | Extract (e, _, _, _, _) -> collectLeaves acc e
+    | BinOp (_, _, e1, e2, _, _) | RelOp (_, e1, e2, _, _) ->
+      collectLeaves (collectLeaves acc e1) e2
+    | Ite (cond, e1, e2, _, _) ->
+      collectLeaves (collectLeaves (collectLeaves acc cond) e1) e2
+    | Undefined _ -> acc
+
+  let private stmtLeaves stmt =
+    let exprs =
+      match stmt with
+      | Put (e1, e2) | InterJmp (e1, e2) | Store (_, e1, e2) -> [ e1; e2 ]
+      | Jmp e -> [ e ]
+      | CJmp (cond, t, f) -> [ cond; t; f ]
+      | InterCJmp (cond, pc, t, f) -> [ pc; cond; t; f ]
+      | ISMark _ | IEMark _ | LMark _ | SideEffect _ -> []
+    List.fold collectLeaves [] exprs
+    |> List.rev
+    |> List.map (fun (e, tag) -> Pp.expToString e, tag)
+
+  let private isWordChar c = Char.IsLetterOrDigit c || c = '_'
+
+  (* Find the word (w) in the string (str) from the index i, which is not a part
+     of a longer word, e.g., the variable t in "then". *)
+  let rec private findWord (str: string) (w: string) i =
+    let j = str.IndexOf (w, i, StringComparison.Ordinal)
+    let isGlued k c =
+      k >= 0 && k < str.Length && isWordChar str.[k] && isWordChar c
+    if j < 0 then j
+    elif isGlued (j - 1) w.[0] || isGlued (j + w.Length) w.[w.Length - 1] then
+      findWord str w (j + 1)
+    else j
+
+  (* A keyword is a word that is not a type, e.g., "then", but not ":I64". *)
+  let private keywordRegex = Text.RegularExpressions.Regex "(^|[^:\\w])[A-Za-z]"
+
+  (* Operators and keywords between the leaves. *)
+  let private addGap (gap: string) acc =
+    if gap.Length = 0 then acc
+    elif keywordRegex.IsMatch gap then (gap, IRKeyword) :: acc
+    else (gap, IROp) :: acc
+
+  let private split (str: string) leaves =
+    let folder (pos, acc) (w: string, tag) =
+      match findWord str w pos with
+      | -1 -> pos, acc
+      | i -> i + w.Length, (w, tag) :: addGap (str.Substring (pos, i - pos)) acc
+    let leaves = List.filter (fun (w: string, _) -> w.Length > 0) leaves
+    let pos, acc = List.fold folder (0, []) leaves
+    addGap (str.Substring pos) acc |> List.rev
+
+  let ofStmt stmt =
+    match stmt with
+    | ISMark _ | IEMark _ | LMark _ -> [ Pp.stmtToString stmt, IRMark ]
+    | _ -> stmtLeaves stmt |> split (Pp.stmtToString stmt)
+
 type InputNode = {
   Address     : Addr
   Disassembly : DisasmData list
@@ -83,13 +162,13 @@ module internal InputGraph =
     | Choice1Of2 c -> c
     | Choice2Of2 e -> failwith e
 
-  let ofInstruction hdl (instr: Instruction) =
+  let ofInstruction hdl comments (instr: Instruction) =
     { Disasm = instr.Disasm (true, true, hdl.FileInfo)
-      Comment = "" }
+      Comment = Map.tryFind instr.Address comments |> Option.defaultValue "" }
 
-  let ofDisassemblyBBL hdl iNodes (v: DisasmVertex) =
+  let ofDisassemblyBBL hdl comments iNodes (v: DisasmVertex) =
     let vData = v.VData
-    let disasmData = List.map (ofInstruction hdl) vData.Instrs
+    let disasmData = List.map (ofInstruction hdl comments) vData.Instrs
     { Address = vData.AddrRange.Min ; Disassembly = disasmData } :: iNodes
 
   let ofCFGEdge (g: DisasmCFG) iEdges (src: DisasmVertex) (dst: DisasmVertex) =
@@ -97,12 +176,86 @@ module internal InputGraph =
     { From = src.VData.AddrRange.Min ; To = dst.VData.AddrRange.Min ;
       Type = edge } :: iEdges
 
-  let ofDisasmCFG hdl (g: DisasmCFG) =
-    let iNodes = g.FoldVertex (ofDisassemblyBBL hdl) []
+  let ofDisasmCFG hdl comments (g: DisasmCFG) =
+    let iNodes = g.FoldVertex (ofDisassemblyBBL hdl comments) []
     let iEdges = g.FoldEdge (ofCFGEdge g) []
     let root = g.GetRoot ()
     { Nodes = iNodes ; Edges = iEdges ; Root = root.VData.AddrRange.Min }
 
+  /// The address of the root node of a call graph. The root node does not
+  /// correspond to any function, and it calls every function that is not
+  /// reachable from other functions. It is the largest integer that JavaScript
+  /// represents exactly, so that the web UI can tell the root node from the
+  /// functions, and no function of a usual 64-bit binary lives at it.
+  let callGraphRoot = 0x1FFFFFFFFFFFFFUL
+
+  let rec private collectReachable callMap visited = function
+    | [] -> visited
+    | entry :: rest when Set.contains entry visited ->
+      collectReachable callMap visited rest
+    | entry :: rest ->
+      let callees = Map.find entry callMap |> Set.toList
+      collectReachable callMap (Set.add entry visited) (callees @ rest)
+
+  /// Pick the functions that the root node should call in order to make every
+  /// function reachable from the root: functions without any caller, and one
+  /// function from each of the remaining (mutually recursive) groups.
+  let private pickStarts callMap entries =
+    let callees = Map.fold (fun acc _ s -> Set.union acc s) Set.empty callMap
+    let noCallers, others =
+      List.partition (fun e -> Set.contains e callees |> not) entries
+    let folder (reached, starts) entry =
+      if Set.contains entry reached then reached, starts
+      else collectReachable callMap reached [ entry ], entry :: starts
+    List.fold folder (Set.empty, []) (noCallers @ others) |> snd |> List.rev
+
+  let private ofCallEdges (caller, callees) =
+    Set.toList callees
+    |> List.map (fun callee -> { From = caller ; To = callee ; Type = JmpEdge })
+
+  let private ofFunction name addr =
+    { Address = addr ; Disassembly = [ { Disasm = name ; Comment = "" } ] }
+
+  /// The nameOf function gives the name of each function, e.g., the one the
+  /// user has given.
+  let ofCallGraph rootName nameOf (funcs: Funcs) =
+    let entries = funcs.Keys |> Seq.sort |> Seq.toList
+    let callMap =
+      entries
+      |> List.map (fun entry -> entry, CFGUtils.getCallees funcs funcs.[entry])
+      |> Map.ofList
+    let iNodes =
+      entries |> List.map (fun entry -> ofFunction (nameOf funcs.[entry]) entry)
+    let callEdges = Map.toList callMap |> List.collect ofCallEdges
+    let rootEdges =
+      pickStarts callMap entries
+      |> List.map (fun entry ->
+        { From = callGraphRoot ; To = entry ; Type = JmpEdge })
+    { Nodes = ofFunction rootName callGraphRoot :: iNodes
+      Edges = rootEdges @ callEdges
+      Root = callGraphRoot }
+
+  let private ofBBLAddr (v: DisasmVertex) =
+    let addr = v.VData.AddrRange.Min
+    { Address = addr
+      Disassembly = [ { Disasm = addr.ToString ("X") ; Comment = "" } ] }
+
+  /// The dominator tree of a disassembly CFG, where each node shows the address
+  /// of its basic block. Unreachable nodes are not in the tree.
+  let ofDomTree (g: DisasmCFG) =
+    let root = g.GetRoot ()
+    let idoms =
+      Dominator.idoms g
+      |> List.filter (fun (v, d) -> Option.isSome d || v = root)
+    let iNodes = idoms |> List.map (fst >> ofBBLAddr)
+    let iEdges =
+      idoms
+      |> List.choose (fun (v, d) ->
+        d |> Option.map (fun d ->
+          { From = d.VData.AddrRange.Min ; To = v.VData.AddrRange.Min ;
+            Type = JmpEdge }))
+    { Nodes = iNodes ; Edges = iEdges ; Root = root.VData.AddrRange.Min }
+
 type Point = {
   X : float
   Y : float
@@ -118,6 +271,8 @@ type OutputNode = {
 
 type OutputEdge = {
   Type       : CFGEdge
+  From       : Addr
+  To         : Addr
   Points     : Point list
   IsBackEdge : bool
 }
@@ -183,22 +338,30 @@ module VGraph =
   let private calcLength { Disasm = disasm ; Comment = comment } =
     String.length disasm + String.length comment
 
-  let private calcWidth disassembly =
-    let maxLength = List.map calcLength disassembly |> List.max |> float
+  let private calcTermsLength (terms: Term list) =
+    List.sumBy (fst >> String.length) terms
+
+  let private calcWidthByLength maxLength =
     // This number (7.5) is empirically obtained with the current font. For some
     // reasons, we cannot precisely determine the width of each text even though
     // we are using fixed-width fonts.
     // padding was added once more in the drawNode function
-    maxLength * 7.5 + padding * 2.0
+    float maxLength * 7.5 + padding * 2.0
 
-  let private calcHeight disassembly =
-    let length = List.length disassembly |> float
+  let private calcWidth disassembly =
+    List.map calcLength disassembly |> List.max |> calcWidthByLength
+
+  let private calcHeightByLines lines =
+    let length = float lines
     let tSpanOffset = 4.0
     // This number (14) is empirically obtained with the current font. The same
     // way as in getWidth function.
     // padding was added once more in the drawNode function
     length * 14.0 + tSpanOffset + padding * 2.0
 
+  let private calcHeight disassembly =
+    List.length disassembly |> calcHeightByLines
+
   let disasmDataToTerms { Disasm = (disasm: string) ; Comment = comment } =
     let comment = comment, Comment
     let frags = disasm.Split ' ' |> Array.filter (fun x -> String.length x <> 0)
@@ -247,6 +410,33 @@ module VGraph =
     List.iter (addVEdge vGraph vMap) iEdges
     vGraph
 
+  let private addIRVNode (vGraph: VGraph) root vMap (v: IRVertex) =
+    let terms = List.map IRTerms.ofStmt v.VData.Stmts
+    let width =
+      List.map calcTermsLength terms |> List.fold max 0 |> calcWidthByLength
+    let height = List.length terms |> calcHeightByLines
+    let addr = fst v.VData.Ppoint
+    let vNode = VNode (vGraph.GenID (), addr, terms, width, height, false)
+    let vertex = vGraph.AddVertex vNode
+    if v = root then vGraph.SetRoot vertex else ()
+    Map.add (v.GetID ()) vertex vMap
+
+  let private addIRVEdge (g: IRCFG) (vGraph: VGraph) vMap src dst =
+    let vSrc = Map.find (Vertex<_>.GetID src) vMap
+    let vDst = Map.find (Vertex<_>.GetID dst) vMap
+    let vEdge = VEdge (vSrc.VData.Addr, vDst.VData.Addr, g.FindEdge src dst)
+    vGraph.AddEdge vSrc vDst vEdge
+
+  /// Unlike disassembly blocks, several IR blocks can start at the same address
+  /// (e.g., the blocks of a rep instruction). Thus, we map IR vertices by their
+  /// IDs instead of going through InputGraph.
+  let ofIRCFG (g: IRCFG) =
+    let vGraph = VGraph ()
+    let root = g.GetRoot ()
+    let vMap = g.FoldVertex (addIRVNode vGraph root) Map.empty
+    g.IterEdge (addIRVEdge g vGraph vMap)
+    vGraph
+
   let toOutputNode oNodes (v: Vertex<VNode>) =
     let vData = v.VData
     let pos = { X = vData.XPos ; Y = vData.YPos }
@@ -259,8 +449,8 @@ module VGraph =
     let eData = vGraph.FindEdge src dst
     let points = List.map (fun (x, y) -> { X = x ; Y = y }) eData.Points
     let oEdge =
-      { Type = eData.Type ; Points = points ;
-        IsBackEdge = eData.IsBackEdge }
+      { Type = eData.Type ; From = src.VData.Addr ; To = dst.VData.Addr ;
+        Points = points ; IsBackEdge = eData.IsBackEdge }
     oEdge :: oEdges
 
   let toOutputGraph (vGraph: VGraph) =
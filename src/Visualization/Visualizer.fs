@@ -26,8 +26,7 @@
 
 module B2R2.Visualization.Visualizer
 
-let visualize iGraph =
-  let vGraph = VGraph.ofIGraph iGraph
+let private layout vGraph =
 #if DEBUG
   VGraph.pp vGraph
 #endif
@@ -45,14 +44,44 @@ let visualize iGraph =
   EdgeDrawing.drawEdges vGraph vLayout backEdgeList dummyMap
   VGraph.toOutputGraph vGraph
 
+let visualize iGraph = VGraph.ofIGraph iGraph |> layout
+
 let visualizeFile inputFile outputFile =
   let iGraph = InputGraph.ofFile inputFile
   let oGraph = visualize iGraph
   OutputGraph.toFile outputFile oGraph
 
-let visualizeDisasmCFG hdl disasmCFG =
+/// Visualize a disassembly CFG. Each instruction is shown with its comment in
+/// the given map (from an address to a comment) if any.
+let visualizeDisasmCFG hdl comments disasmCFG =
+  try
+    let iGraph = InputGraph.ofDisasmCFG hdl comments disasmCFG
+    let oGraph = visualize iGraph
+    OutputGraph.toStr oGraph
+  with e ->
+    eprintfn "%s" <| e.ToString ()
+    "{}"
+
+let visualizeIRCFG irCFG =
+  try
+    let oGraph = VGraph.ofIRCFG irCFG |> layout
+    OutputGraph.toStr oGraph
+  with e ->
+    eprintfn "%s" <| e.ToString ()
+    "{}"
+
+let visualizeCallGraph rootName nameOf funcs =
+  try
+    let iGraph = InputGraph.ofCallGraph rootName nameOf funcs
+    let oGraph = visualize iGraph
+    OutputGraph.toStr oGraph
+  with e ->
+    eprintfn "%s" <| e.ToString ()
+    "{}"
+
+let visualizeDomTree disasmCFG =
   try
-    let iGraph = InputGraph.ofDisasmCFG hdl disasmCFG
+    let iGraph = InputGraph.ofDomTree disasmCFG
     let oGraph = visualize iGraph
     OutputGraph.toStr oGraph
   with e ->